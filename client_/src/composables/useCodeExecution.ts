@@ -1,5 +1,6 @@
-import { ref } from 'vue'
+import { ref, computed } from 'vue'
 import { useSocket } from './useSocket'
+import type { RateLimitedEvent, RuntimeInfo } from '@/types'
 
 export interface ExecutionResult {
   executionId: string
@@ -10,7 +11,7 @@ export interface ExecutionResult {
   language: string
   truncated?: boolean
   user: {
-    socketId: string
+    userId: string
   }
   timestamp: string
 }
@@ -18,24 +19,80 @@ export interface ExecutionResult {
 export interface ExecutionError {
   executionId: string
   error: string
+  user?: {
+    userId: string
+  }
   timestamp: string
 }
 
+export interface OutputChunk {
+  stream: 'stdout' | 'stderr'
+  data: string
+}
+
+// A batch of output from a program that is still running
+export interface ExecutionOutput {
+  executionId: string
+  fileId: number
+  seq: number // Batches of one run count up from 0
+  chunks: OutputChunk[]
+  user: {
+    userId: string
+  }
+}
+
+export type ExecutionState = 'queued' | 'running' | 'finished' | 'cancelled'
+
+// A run in the room's execution queue
+export interface ExecutionStatus {
+  executionId: string
+  fileId: number
+  language: string
+  status: ExecutionState
+  user: {
+    userId: string
+  }
+  queuedAt: string
+  startedAt: string | null
+}
+
 export function useCodeExecution() {
-  const { emit, on } = useSocket()
+  const { emit, on, userId } = useSocket()
 
-  const isExecuting = ref(false)
-  const supportedLanguages = ref<string[]>([])
+  // Queued and running executions in the room, oldest first
+  const executions = ref<ExecutionStatus[]>([])
+  // Sent execute_code and waiting to hear it was queued
+  const isSubmitting = ref(false)
+  // Every runnable language, including those with no runtime installed right now
+  const supportedLanguages = ref<RuntimeInfo[]>([])
+  // Set while the server refuses runs from this client
+  const isRateLimited = ref(false)
+  let rateLimitTimer: number | null = null
+
+  // Only this user's own runs block the Run button
+  const isExecuting = computed(() => {
+    return isSubmitting.value ||
+      executions.value.some(execution => execution.user.userId === userId.value)
+  })
 
-  // Execute code
-  const executeCode = (fileId: number, code: string, language: string) => {
+  // Run the room's files; the server reads them from its own copy
+  const executeCode = (fileId: number) => {
     if (isExecuting.value) {
       console.warn('Execution already in progress')
       return
     }
+    if (isRateLimited.value) {
+      console.warn('Execution rate limited')
+      return
+    }
 
-    isExecuting.value = true
-    emit('execute_code', { fileId, code, language })
+    isSubmitting.value = true
+    emit('execute_code', { fileId })
+  }
+
+  // Whoever started a run can cancel it; the host can cancel any
+  const cancelExecution = (executionId: string) => {
+    emit('cancel_execution', { executionId })
   }
 
   // Get supported languages
@@ -43,32 +100,76 @@ export function useCodeExecution() {
     emit('get_supported_languages', {})
   }
 
-  // Listen for supported languages
-  on('supported_languages', (languages: string[]) => {
+  // Runs that were already queued before we joined
+  const fetchExecutionQueue = () => {
+    emit('get_execution_queue', {})
+  }
+
+  // Sent on request and again whenever the server's runtimes change
+  on('supported_languages', (languages: RuntimeInfo[]) => {
     supportedLanguages.value = languages
   })
 
+  on('execution_status', (execution: ExecutionStatus) => {
+    if (execution.user.userId === userId.value) isSubmitting.value = false
+
+    const others = executions.value.filter(e => e.executionId !== execution.executionId)
+    executions.value = execution.status === 'finished' || execution.status === 'cancelled'
+      ? others
+      : [...others, execution].sort((a, b) => a.queuedAt.localeCompare(b.queuedAt))
+  })
+
+  // The server turned the request down before queueing it
+  on('validation_error', ({ event }: { event: string }) => {
+    if (event === 'execute_code') isSubmitting.value = false
+  })
+
   // Setup result listeners
   const onExecutionResult = (callback: (result: ExecutionResult) => void) => {
     on('execution_result', (result: ExecutionResult) => {
-      isExecuting.value = false
       callback(result)
     })
   }
 
+  const onExecutionOutput = (callback: (output: ExecutionOutput) => void) => {
+    on('execution_output', (output: ExecutionOutput) => {
+      callback(output)
+    })
+  }
+
   const onExecutionError = (callback: (error: ExecutionError) => void) => {
     on('execution_error', (error: ExecutionError) => {
-      isExecuting.value = false
+      if (error.user?.userId === userId.value) isSubmitting.value = false
       callback(error)
     })
   }
 
+  const onRateLimited = (callback: (retryAfter: number) => void) => {
+    on('rate_limited', ({ event, retryAfter }: RateLimitedEvent) => {
+      if (event !== 'execute_code') return
+      isSubmitting.value = false
+      isRateLimited.value = true
+      if (rateLimitTimer) clearTimeout(rateLimitTimer)
+      rateLimitTimer = window.setTimeout(() => {
+        isRateLimited.value = false
+        rateLimitTimer = null
+      }, retryAfter)
+      callback(retryAfter)
+    })
+  }
+
   return {
+    executions,
     isExecuting,
+    isRateLimited,
     supportedLanguages,
     executeCode,
+    cancelExecution,
     fetchSupportedLanguages,
+    fetchExecutionQueue,
     onExecutionResult,
-    onExecutionError
+    onExecutionOutput,
+    onExecutionError,
+    onRateLimited
   }
 }
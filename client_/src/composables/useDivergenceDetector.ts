@@ -0,0 +1,57 @@
+import type { Operation } from '@/types'
+import { hashContent } from '@/utils/checksum'
+
+export interface TraceEntry {
+  kind: 'local' | 'remote' | 'ack'
+  revision: number
+  operation?: Operation[]
+}
+
+export interface DivergenceReport {
+  revision: number
+  expected: string
+  actual: string
+  trace: TraceEntry[]
+}
+
+export interface UseDivergenceDetectorOptions {
+  onDivergence: (report: DivergenceReport) => void
+}
+
+const MAX_TRACE_LENGTH = 50
+
+/**
+ * Compares editor content with the server's checksum for the same revision.
+ * The most recent operations are kept so a divergence is reported together
+ * with the edits that led up to it.
+ */
+export function useDivergenceDetector(options: UseDivergenceDetectorOptions) {
+  let trace: TraceEntry[] = []
+
+  function recordTrace(entry: TraceEntry) {
+    trace.push(entry)
+    if (trace.length > MAX_TRACE_LENGTH) trace.shift()
+  }
+
+  /**
+   * Check content that should equal the server copy at revision
+   * @returns false if it diverged, after reporting it
+   */
+  function verifyContent(content: string, checksum: string, revision: number): boolean {
+    const actual = hashContent(content)
+    if (actual === checksum) return true
+
+    options.onDivergence({ revision, expected: checksum, actual, trace: [...trace] })
+    return false
+  }
+
+  function resetTrace() {
+    trace = []
+  }
+
+  return {
+    recordTrace,
+    verifyContent,
+    resetTrace
+  }
+}
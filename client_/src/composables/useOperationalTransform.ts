@@ -1,10 +1,9 @@
-import { ref, type Ref } from 'vue'
+import { ref } from 'vue'
 import * as monaco from 'monaco-editor'
+import type { Operation } from '@/types'
+import { transform, compose } from '@/utils/ot'
 
-export type Operation =
-  | { type: 'retain'; count: number }
-  | { type: 'insert'; text: string }
-  | { type: 'delete'; count: number }
+export type { Operation }
 
 export interface OperationData {
   editorId: number
@@ -12,23 +11,29 @@ export interface OperationData {
   baseRevision: number
 }
 
-export function useOperationalTransform() {
+export interface UseOperationalTransformOptions {
+  onSendOperation: (operation: Operation[], baseRevision: number) => void
+}
+
+export function useOperationalTransform(options: UseOperationalTransformOptions) {
   const currentRevision = ref(0)
-  const pendingOps: Operation[][] = []
   const isApplyingRemoteOp = ref(false)
 
+  // Client state machine: at most one operation awaits a server ack,
+  // edits made meanwhile are composed into a single buffered operation
+  let inflightOp: Operation[] | null = null
+  let bufferedOp: Operation[] | null = null
+
   /**
    * Convert Monaco content change events to OT operations
    */
   function monacoChangesToOperation(
-    changes: monaco.editor.IModelContentChange[],
-    model: monaco.editor.ITextModel
+    changes: monaco.editor.IModelContentChange[]
   ): Operation[] {
     if (changes.length === 0) return []
 
     const ops: Operation[] = []
     let cursor = 0
-    const documentLength = model.getValueLength()
 
     // Sort changes by offset
     const sortedChanges = [...changes].sort((a, b) => a.rangeOffset - b.rangeOffset)
@@ -58,20 +63,16 @@ export function useOperationalTransform() {
   }
 
   /**
-   * Apply an operation to Monaco editor
+   * Convert an operation to Monaco edits against the model's current content
    */
-  function applyOperationToEditor(
+  function operationToEdits(
     operation: Operation[],
-    editor: monaco.editor.IStandaloneCodeEditor
-  ) {
-    const model = editor.getModel()
-    if (!model) return
-
-    isApplyingRemoteOp.value = true
-
+    model: monaco.editor.ITextModel
+  ): monaco.editor.IIdentifiedSingleEditOperation[] {
     let cursor = 0
     const edits: monaco.editor.IIdentifiedSingleEditOperation[] = []
 
+    // Edits are batched, so every range refers to the model before any of them apply
     for (const op of operation) {
       if (op.type === 'retain') {
         cursor += op.count
@@ -86,7 +87,6 @@ export function useOperationalTransform() {
           ),
           text: op.text
         })
-        cursor += op.text.length
       } else if (op.type === 'delete') {
         const startPos = model.getPositionAt(cursor)
         const endPos = model.getPositionAt(cursor + op.count)
@@ -99,9 +99,26 @@ export function useOperationalTransform() {
           ),
           text: ''
         })
+        cursor += op.count
       }
     }
 
+    return edits
+  }
+
+  /**
+   * Apply a remote operation to Monaco editor
+   */
+  function applyOperationToEditor(
+    operation: Operation[],
+    editor: monaco.editor.IStandaloneCodeEditor
+  ) {
+    const model = editor.getModel()
+    if (!model) return
+
+    isApplyingRemoteOp.value = true
+
+    const edits = operationToEdits(operation, model)
     if (edits.length > 0) {
       editor.executeEdits('remote-operation', edits)
     }
@@ -110,17 +127,107 @@ export function useOperationalTransform() {
   }
 
   /**
-   * Reset revision (for sync)
+   * Queue a local operation, sending it right away if nothing is in flight
+   */
+  function applyLocalOperation(operation: Operation[]) {
+    if (operation.length === 0) return
+
+    if (inflightOp) {
+      bufferedOp = bufferedOp ? compose(bufferedOp, operation) : operation
+      return
+    }
+
+    inflightOp = operation
+    options.onSendOperation(inflightOp, currentRevision.value)
+  }
+
+  /**
+   * Server acknowledged our in-flight operation; send the buffer next
+   */
+  function handleAcknowledgement(revision: number) {
+    currentRevision.value = revision
+    inflightOp = bufferedOp
+    bufferedOp = null
+
+    if (inflightOp) {
+      options.onSendOperation(inflightOp, currentRevision.value)
+    }
+  }
+
+  /**
+   * Transform a remote operation against unacknowledged local edits.
+   * Returns the operation to apply to the local model.
+   *
+   * The server transforms our in-flight op against the remote one with
+   * side 'left', so the remote op takes side 'right' here to agree on
+   * tie-breaking for inserts at the same position.
+   */
+  function transformRemoteOperation(operation: Operation[], revision: number): Operation[] {
+    let remoteOp = operation
+
+    if (inflightOp) {
+      const transformedInflight = transform(inflightOp, remoteOp, 'left')
+      remoteOp = transform(remoteOp, inflightOp, 'right')
+      inflightOp = transformedInflight
+    }
+
+    if (bufferedOp) {
+      const transformedBuffer = transform(bufferedOp, remoteOp, 'left')
+      remoteOp = transform(remoteOp, bufferedOp, 'right')
+      bufferedOp = transformedBuffer
+    }
+
+    currentRevision.value = revision
+    return remoteOp
+  }
+
+  /**
+   * The server dropped the in-flight operation without applying it.
+   * Fold the buffer into it so the retry goes out as one operation.
+   */
+  function resendPendingOperation() {
+    if (!inflightOp) return
+    if (bufferedOp) {
+      inflightOp = compose(inflightOp, bufferedOp)
+      bufferedOp = null
+    }
+    options.onSendOperation(inflightOp, currentRevision.value)
+  }
+
+  function hasPendingOperations() {
+    return inflightOp !== null
+  }
+
+  /**
+   * Local edits the server hasn't acknowledged yet, as one operation on top
+   * of currentRevision, or null if there are none
+   */
+  function getPendingOperation(): Operation[] | null {
+    if (!inflightOp) return null
+    return bufferedOp ? compose(inflightOp, bufferedOp) : inflightOp
+  }
+
+  /**
+   * Reset revision (for sync), discarding unacknowledged local edits
    */
   function setRevision(revision: number) {
     currentRevision.value = revision
+    inflightOp = null
+    bufferedOp = null
   }
 
   return {
     currentRevision,
     isApplyingRemoteOp,
     monacoChangesToOperation,
+    operationToEdits,
     applyOperationToEditor,
+    applyLocalOperation,
+    handleAcknowledgement,
+    transformRemoteOperation,
+    resendPendingOperation,
+    hasPendingOperations,
+    getPendingOperation,
     setRevision
   }
 }
@@ -0,0 +1,159 @@
+import * as monaco from 'monaco-editor'
+import type { Operation } from '@/types'
+import { transformIndex } from '@/utils/ot'
+
+// A selection as document offsets: the anchor stays put, the head is the cursor
+export interface RemoteSelection {
+  anchor: number
+  head: number
+}
+
+export interface RemoteUser {
+  username: string
+  color: string
+}
+
+interface RemoteCursor {
+  selections: RemoteSelection[]
+  decorations: monaco.editor.IEditorDecorationsCollection
+  label: monaco.editor.IContentWidget
+  labelNode: HTMLElement
+}
+
+// Decorations can only be styled through classes, so every user gets
+// color rules in one stylesheet shared by all editor instances
+let styleElement: HTMLStyleElement | null = null
+const userColors = new Map<string, string>()
+
+const ensureUserStyle = (userId: string, color: string) => {
+  if (userColors.get(userId) === color) return
+  userColors.set(userId, color)
+
+  if (!styleElement) {
+    styleElement = document.createElement('style')
+    document.head.appendChild(styleElement)
+  }
+  styleElement.textContent = Array.from(userColors, ([id, userColor]) =>
+    `.remote-selection-${id} { background-color: ${userColor}; }\n` +
+    `.remote-cursor-${id} { border-color: ${userColor}; }`
+  ).join('\n')
+}
+
+export function useRemoteCursors() {
+  let editor: monaco.editor.IStandaloneCodeEditor | null = null
+  const cursors = new Map<string, RemoteCursor>()
+
+  const attach = (instance: monaco.editor.IStandaloneCodeEditor) => {
+    editor = instance
+  }
+
+  const toDecorations = (
+    model: monaco.editor.ITextModel,
+    userId: string,
+    selections: RemoteSelection[]
+  ): monaco.editor.IModelDeltaDecoration[] => {
+    return selections.map(({ anchor, head }) => {
+      const cursorClass = `remote-cursor remote-cursor-${userId}`
+      const headAtStart = head <= anchor
+
+      return {
+        range: monaco.Range.fromPositions(model.getPositionAt(anchor), model.getPositionAt(head)),
+        options: {
+          className: anchor === head ? undefined : `remote-selection remote-selection-${userId}`,
+          beforeContentClassName: headAtStart ? cursorClass : undefined,
+          afterContentClassName: headAtStart ? undefined : cursorClass
+        }
+      }
+    })
+  }
+
+  const createLabel = (userId: string, labelNode: HTMLElement): monaco.editor.IContentWidget => ({
+    getId: () => `cursor-label-${userId}`,
+    getDomNode: () => labelNode,
+    getPosition: () => {
+      const primary = cursors.get(userId)?.selections[0]
+      const model = editor?.getModel()
+      if (!primary || !model) return null
+      return {
+        position: model.getPositionAt(primary.head),
+        preference: [
+          monaco.editor.ContentWidgetPositionPreference.ABOVE,
+          monaco.editor.ContentWidgetPositionPreference.BELOW
+        ]
+      }
+    }
+  })
+
+  const render = (userId: string, cursor: RemoteCursor) => {
+    const model = editor?.getModel()
+    if (!editor || !model) return
+    cursor.decorations.set(toDecorations(model, userId, cursor.selections))
+    editor.layoutContentWidget(cursor.label)
+  }
+
+  // Pick up name or color changes from the room user list
+  const updateRemoteUser = (userId: string, user: RemoteUser) => {
+    const cursor = cursors.get(userId)
+    if (!cursor) return
+    ensureUserStyle(userId, user.color)
+    cursor.labelNode.textContent = user.username
+    cursor.labelNode.style.backgroundColor = user.color
+  }
+
+  // Draw a user's selections; the first one is their primary cursor and carries the name label
+  const setRemoteSelections = (userId: string, user: RemoteUser, selections: RemoteSelection[]) => {
+    if (!editor) return
+
+    let cursor = cursors.get(userId)
+    if (!cursor) {
+      const labelNode = document.createElement('div')
+      labelNode.className = 'remote-cursor-label'
+      cursor = {
+        selections,
+        decorations: editor.createDecorationsCollection(),
+        label: createLabel(userId, labelNode),
+        labelNode
+      }
+      cursors.set(userId, cursor)
+      editor.addContentWidget(cursor.label)
+    }
+
+    cursor.selections = selections
+    updateRemoteUser(userId, user)
+    render(userId, cursor)
+  }
+
+  // Shift every known selection through an operation applied to the model.
+  // The author's own cursor moves past the text they inserted.
+  const transformRemoteCursors = (operation: Operation[], authorId: string | null) => {
+    cursors.forEach((cursor, userId) => {
+      const side = userId === authorId ? 'after' : 'before'
+      cursor.selections = cursor.selections.map(({ anchor, head }) => ({
+        anchor: transformIndex(anchor, operation, side),
+        head: transformIndex(head, operation, side)
+      }))
+      render(userId, cursor)
+    })
+  }
+
+  const removeRemoteCursor = (userId: string) => {
+    const cursor = cursors.get(userId)
+    if (!cursor) return
+    cursor.decorations.clear()
+    editor?.removeContentWidget(cursor.label)
+    cursors.delete(userId)
+  }
+
+  const clearRemoteCursors = () => {
+    Array.from(cursors.keys()).forEach(removeRemoteCursor)
+  }
+
+  return {
+    attach,
+    setRemoteSelections,
+    transformRemoteCursors,
+    updateRemoteUser,
+    removeRemoteCursor,
+    clearRemoteCursors
+  }
+}
@@ -0,0 +1,93 @@
+import { ref, computed, onUnmounted } from 'vue'
+import { useSocket } from './useSocket'
+import type { Operation } from '@/types'
+import { applyOperation } from '@/utils/ot'
+
+export interface HistoryStep {
+  revision: number
+  operation: Operation[]
+  author: {
+    username: string
+    color: string
+  } | null
+  timestamp: string
+}
+
+interface HistoryRange {
+  editorId: number
+  fromRevision: number
+  toRevision: number
+  baseContent: string
+  steps: HistoryStep[]
+}
+
+export function useRevisionHistory() {
+  const { emit, on, off } = useSocket()
+
+  const editorId = ref<number | null>(null)
+  const fromRevision = ref(0)
+  const toRevision = ref(0)
+  const baseContent = ref('')
+  const steps = ref<HistoryStep[]>([])
+  const isLoading = ref(false)
+  const error = ref('')
+
+  // Request the full history of an editor document
+  const loadHistory = (id: number) => {
+    editorId.value = id
+    isLoading.value = true
+    error.value = ''
+    emit('get_history_range', { editorId: id })
+  }
+
+  // Replay steps on top of the range's base content
+  const getContentAt = (revision: number) => {
+    let content = baseContent.value
+    for (const step of steps.value) {
+      if (step.revision > revision) break
+      content = applyOperation(content, step.operation)
+    }
+    return content
+  }
+
+  const getStep = (revision: number) => {
+    return steps.value.find(step => step.revision === revision)
+  }
+
+  const hasHistory = computed(() => steps.value.length > 0)
+
+  const handleHistoryRange = (range: HistoryRange) => {
+    if (range.editorId !== editorId.value) return
+    fromRevision.value = range.fromRevision
+    toRevision.value = range.toRevision
+    baseContent.value = range.baseContent
+    steps.value = range.steps
+    isLoading.value = false
+  }
+
+  const handleHistoryError = ({ editorId: id, message }: { editorId: number, message: string }) => {
+    if (id !== editorId.value) return
+    error.value = message
+    isLoading.value = false
+  }
+
+  on('history_range', handleHistoryRange)
+  on('history_error', handleHistoryError)
+
+  onUnmounted(() => {
+    off('history_range', handleHistoryRange)
+    off('history_error', handleHistoryError)
+  })
+
+  return {
+    fromRevision,
+    toRevision,
+    steps,
+    isLoading,
+    error,
+    hasHistory,
+    loadHistory,
+    getContentAt,
+    getStep
+  }
+}
@@ -0,0 +1,62 @@
+import { useSocket } from './useSocket'
+import { useToast } from './useToast'
+import { SOCKET_URL } from '@/constants'
+import type { UploadedFile } from '@/types'
+
+// The server's limit; a larger upload would be dropped along with the connection
+const MAX_UPLOAD_BYTES = 8 * 1024 * 1024
+
+// Moving a room's files in and out: uploads go over the socket, the zip
+// download over HTTP with the session token
+export function useRoomArchive() {
+  const { emit, getSessionToken } = useSocket()
+  const { addToast } = useToast()
+
+  // Folders picked with a directory input keep their paths
+  const readFiles = (files: File[]): Promise<UploadedFile[]> => {
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0)
+    if (totalBytes > MAX_UPLOAD_BYTES) {
+      return Promise.reject(new Error(`Uploads can be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`))
+    }
+    return Promise.all(files.map(async file => ({
+      name: file.webkitRelativePath || file.name,
+      data: await file.arrayBuffer()
+    })))
+  }
+
+  const importFiles = async (files: File[]) => {
+    if (files.length === 0) return
+    try {
+      emit('import_files', { files: await readFiles(files) })
+    } catch (error) {
+      addToast({ message: error instanceof Error ? error.message : 'Import failed', type: 'error' })
+    }
+  }
+
+  const downloadArchive = async (roomCode: string) => {
+    try {
+      const response = await fetch(`${SOCKET_URL}/rooms/${roomCode}/archive`, {
+        headers: { Authorization: `Bearer ${getSessionToken()}` }
+      })
+      if (!response.ok) {
+        const body = await response.json().catch(() => null)
+        throw new Error(body?.message ?? `Download failed (${response.status})`)
+      }
+
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${roomCode}.zip`
+      link.click()
+      setTimeout(() => URL.revokeObjectURL(url))
+    } catch (error) {
+      addToast({ message: error instanceof Error ? error.message : 'Download failed', type: 'error' })
+    }
+  }
+
+  return {
+    readFiles,
+    importFiles,
+    downloadArchive
+  }
+}
@@ -0,0 +1,67 @@
+import { ref, onUnmounted } from 'vue'
+import { useSocket } from './useSocket'
+import { useToast } from './useToast'
+
+export interface Snapshot {
+  id: number
+  name: string
+  created_by: string | null
+  created_at: string
+  file_count: number
+}
+
+export function useSnapshots() {
+  const { emit, on, off } = useSocket()
+  const { addToast } = useToast()
+
+  const snapshots = ref<Snapshot[]>([])
+
+  const fetchSnapshots = () => {
+    emit('list_snapshots', {})
+  }
+
+  const createSnapshot = (name: string) => {
+    emit('create_snapshot', { name })
+  }
+
+  const restoreSnapshot = (snapshotId: number) => {
+    emit('restore_snapshot', { snapshotId })
+  }
+
+  const handleSnapshotsList = (list: Snapshot[]) => {
+    snapshots.value = list
+  }
+
+  const handleSnapshotCreated = (snapshot: Snapshot) => {
+    snapshots.value.unshift(snapshot)
+    addToast({ message: `Snapshot "${snapshot.name}" saved`, type: 'success' })
+  }
+
+  const handleSnapshotRestored = ({ name, restoredBy }: { name: string, restoredBy?: string }) => {
+    const by = restoredBy ? ` by ${restoredBy}` : ''
+    addToast({ message: `Snapshot "${name}" restored${by}`, type: 'info' })
+  }
+
+  const handleSnapshotError = ({ message }: { message: string }) => {
+    addToast({ message, type: 'error' })
+  }
+
+  on('snapshots_list', handleSnapshotsList)
+  on('snapshot_created', handleSnapshotCreated)
+  on('snapshot_restored', handleSnapshotRestored)
+  on('snapshot_error', handleSnapshotError)
+
+  onUnmounted(() => {
+    off('snapshots_list', handleSnapshotsList)
+    off('snapshot_created', handleSnapshotCreated)
+    off('snapshot_restored', handleSnapshotRestored)
+    off('snapshot_error', handleSnapshotError)
+  })
+
+  return {
+    snapshots,
+    fetchSnapshots,
+    createSnapshot,
+    restoreSnapshot
+  }
+}
@@ -7,6 +7,10 @@ let socketInstance: Socket | null = null;
 const clientId = ref<string>('');
 const isConnected = ref(false);
 
+// Stable identity within a room, kept across reconnects via a signed session token
+const SESSION_STORAGE_KEY = 'collab_session';
+const userId = ref<string>('');
+
 export function useSocket() {
   function connect() {
     console.log('[useSocket] connect() called, socketInstance exists:', !!socketInstance)
@@ -20,6 +24,11 @@ export function useSocket() {
         isConnected.value = true;
         console.log('[useSocket] Socket "connect" event fired');
 
+        // Replay the session first so the server rebinds us before any other event
+        const token = sessionStorage.getItem(SESSION_STORAGE_KEY);
+        if (token) {
+          socketInstance?.emit('resume_session', { token });
+        }
       });
 
       socketInstance.on('connected', (id: string) => {
@@ -47,6 +56,25 @@ export function useSocket() {
     }
   }
 
+  function setSession(session: { userId: string; sessionToken: string }) {
+    userId.value = session.userId;
+    sessionStorage.setItem(SESSION_STORAGE_KEY, session.sessionToken);
+  }
+
+  function clearSession() {
+    userId.value = '';
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+  }
+
+  function hasSession() {
+    return sessionStorage.getItem(SESSION_STORAGE_KEY) !== null;
+  }
+
+  // Also authenticates HTTP requests for the room, e.g. downloads
+  function getSessionToken() {
+    return sessionStorage.getItem(SESSION_STORAGE_KEY);
+  }
+
   // eslint-disable-next-line @typescript-eslint/no-explicit-any
   function emit(event: string, data: any) {
     socketInstance?.emit(event, data);
@@ -70,7 +98,12 @@ export function useSocket() {
   return {
     socket: socketInstance,
     clientId,
+    userId,
     isConnected,
+    setSession,
+    clearSession,
+    hasSession,
+    getSessionToken,
     connect,
     disconnect,
     emit,
@@ -0,0 +1,130 @@
+import { ref } from 'vue'
+import type { Operation } from '@/types'
+import { compose, invert, transform } from '@/utils/ot'
+
+export interface UseUndoManagerOptions {
+  // Apply an undo or redo step to the editor as a local edit, so it goes
+  // through the OT client and send_operation like anything the user types
+  onApply: (operation: Operation[]) => void
+  // Edits closer together than this are undone as one step
+  groupDelay?: number
+}
+
+const MAX_STACK_SIZE = 200
+
+/**
+ * Undo/redo that only ever touches the user's own edits. Each stack entry is
+ * the inverse of a local operation and is transformed against every remote
+ * operation applied after it, so undoing never reverts a collaborator's work.
+ */
+export function useUndoManager(options: UseUndoManagerOptions) {
+  const groupDelay = options.groupDelay ?? 500
+
+  // The top entry applies to the current document; each entry below it
+  // applies to the document with the entries above it undone
+  let undoStack: Operation[][] = []
+  let redoStack: Operation[][] = []
+  let lastRecordedAt = 0
+  let mode: 'normal' | 'undoing' | 'redoing' = 'normal'
+
+  const canUndo = ref(false)
+  const canRedo = ref(false)
+
+  const updateState = () => {
+    canUndo.value = undoStack.length > 0
+    canRedo.value = redoStack.length > 0
+  }
+
+  const push = (stack: Operation[][], operation: Operation[]) => {
+    stack.push(operation)
+    if (stack.length > MAX_STACK_SIZE) stack.shift()
+  }
+
+  /**
+   * Record an edit made by this user
+   * @param documentBefore - Content the operation was applied to
+   */
+  function recordLocalOperation(operation: Operation[], documentBefore: string) {
+    if (operation.length === 0) return
+    const inverse = invert(operation, documentBefore)
+
+    if (mode === 'undoing') {
+      push(redoStack, inverse)
+    } else if (mode === 'redoing') {
+      push(undoStack, inverse)
+    } else {
+      const now = Date.now()
+      const top = undoStack[undoStack.length - 1]
+      if (top && now - lastRecordedAt < groupDelay) {
+        // Undoing (top, then this edit) means undoing this edit first
+        undoStack[undoStack.length - 1] = compose(inverse, top)
+      } else {
+        push(undoStack, inverse)
+      }
+      lastRecordedAt = now
+      redoStack = []
+    }
+
+    updateState()
+  }
+
+  // Rebase a stack over an operation applied to the current document
+  const transformStack = (stack: Operation[][], operation: Operation[]) => {
+    let remoteOp = operation
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const entry = stack[i]!
+      stack[i] = transform(entry, remoteOp, 'left')
+      remoteOp = transform(remoteOp, entry, 'right')
+    }
+  }
+
+  /**
+   * Rebase both stacks over a collaborator's operation as applied to the editor
+   */
+  function transformRemoteOperation(operation: Operation[]) {
+    transformStack(undoStack, operation)
+    transformStack(redoStack, operation)
+    // A remote edit ends the current group
+    lastRecordedAt = 0
+  }
+
+  const applyFrom = (stack: Operation[][], nextMode: typeof mode) => {
+    const operation = stack.pop()
+    if (!operation) return
+
+    mode = nextMode
+    try {
+      options.onApply(operation)
+    } finally {
+      mode = 'normal'
+      lastRecordedAt = 0
+      updateState()
+    }
+  }
+
+  function undo() {
+    applyFrom(undoStack, 'undoing')
+  }
+
+  function redo() {
+    applyFrom(redoStack, 'redoing')
+  }
+
+  // Forget everything, e.g. after a resync replaced the document
+  function clear() {
+    undoStack = []
+    redoStack = []
+    lastRecordedAt = 0
+    updateState()
+  }
+
+  return {
+    canUndo,
+    canRedo,
+    recordLocalOperation,
+    transformRemoteOperation,
+    undo,
+    redo,
+    clear
+  }
+}
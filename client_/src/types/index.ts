@@ -24,3 +24,48 @@ export interface RemoteCursor {
   position: { lineNumber: number; column: number };
   color: string;
 }
+
+// The host role follows the room's hostId; editor and viewer are set by the host
+export type UserRole = 'host' | 'editor' | 'viewer';
+
+// What a file's program runs against; shared with the room per file
+export interface RunInput {
+  stdin: string;
+  args: string[];
+  compileTimeout?: number; // milliseconds, server default if unset
+  runTimeout?: number;
+  version?: string; // runtime version, newest installed if unset
+}
+
+// A language the execution server knows, and the versions it has installed
+export interface RuntimeInfo {
+  language: string;
+  available: boolean;
+  versions: string[]; // newest first
+}
+
+// A picked or dropped file on its way to the server; zips are unpacked there
+export interface UploadedFile {
+  name: string;
+  data: ArrayBuffer;
+}
+
+// Paths an upload added, overwrote or left out (not text, too large or taken by a folder)
+export interface FilesImported {
+  added: string[];
+  updated: string[];
+  skipped: string[];
+  importedBy?: string;
+}
+
+// Reply to an event the server dropped for exceeding its rate limit
+export interface RateLimitedEvent {
+  event: string;
+  retryAfter: number; // milliseconds
+  editorId?: number;
+}
+
+export type Operation =
+  | { type: 'retain'; count: number }
+  | { type: 'insert'; text: string }
+  | { type: 'delete'; count: number };
@@ -0,0 +1,79 @@
+import { describe, expect, test } from 'vitest'
+import type { Operation } from '@/types'
+import { applyOperation, compose, invert, transform, transformIndex } from '../ot'
+import { createRandom, randomOperation } from './randomOperations'
+
+describe('transform', () => {
+  test('converges for concurrent operations (TP1)', () => {
+    const random = createRandom(42)
+    for (let run = 0; run < 500; run++) {
+      const doc = 'abcdefghij'.slice(0, Math.floor(random() * 11))
+      const a = randomOperation(random, doc.length)
+      const b = randomOperation(random, doc.length)
+
+      const aThenB = applyOperation(applyOperation(doc, a), transform(b, a, 'left'))
+      const bThenA = applyOperation(applyOperation(doc, b), transform(a, b, 'right'))
+      expect(aThenB).toBe(bThenA)
+    }
+  })
+
+  test('puts the left side second when both insert at the same place', () => {
+    const a: Operation[] = [{ type: 'retain', count: 1 }, { type: 'insert', text: 'A' }, { type: 'retain', count: 1 }]
+    const b: Operation[] = [{ type: 'retain', count: 1 }, { type: 'insert', text: 'B' }, { type: 'retain', count: 1 }]
+
+    expect(applyOperation(applyOperation('12', a), transform(b, a, 'left'))).toBe('1AB2')
+    expect(applyOperation(applyOperation('12', a), transform(b, a, 'right'))).toBe('1BA2')
+  })
+})
+
+describe('transformIndex', () => {
+  const op: Operation[] = [
+    { type: 'retain', count: 2 },
+    { type: 'insert', text: 'XY' },
+    { type: 'delete', count: 2 },
+    { type: 'retain', count: 2 },
+  ] // "abcdef" -> "abXYef"
+
+  test('keeps an index at an insert in front of it unless asked to move past', () => {
+    expect(transformIndex(2, op, 'before')).toBe(2)
+    expect(transformIndex(2, op, 'after')).toBe(4)
+  })
+
+  test('moves an index inside deleted text to where the deletion was', () => {
+    expect(transformIndex(3, op)).toBe(4)
+    expect(transformIndex(5, op)).toBe(5)
+  })
+})
+
+describe('compose', () => {
+  test('does in one operation what the two do one after the other', () => {
+    const random = createRandom(11)
+    for (let run = 0; run < 500; run++) {
+      const doc = 'abcdefghij'.slice(0, Math.floor(random() * 11))
+      const a = randomOperation(random, doc.length)
+      const afterA = applyOperation(doc, a)
+      const b = randomOperation(random, afterA.length)
+
+      expect(applyOperation(doc, compose(a, b))).toBe(applyOperation(afterA, b))
+    }
+  })
+})
+
+describe('invert', () => {
+  test('undoes an operation on the document it was applied to', () => {
+    const random = createRandom(23)
+    for (let run = 0; run < 500; run++) {
+      const doc = 'abcdefghij'.slice(0, Math.floor(random() * 11))
+      const op = randomOperation(random, doc.length)
+
+      expect(applyOperation(applyOperation(doc, op), invert(op, doc))).toBe(doc)
+    }
+  })
+
+  test('composes with the operation into one that changes nothing', () => {
+    const doc = 'abcdef'
+    const op: Operation[] = [{ type: 'retain', count: 2 }, { type: 'insert', text: 'XY' }, { type: 'delete', count: 2 }]
+
+    expect(applyOperation(doc, compose(op, invert(op, doc)))).toBe(doc)
+  })
+})
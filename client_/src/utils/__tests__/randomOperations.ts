@@ -0,0 +1,34 @@
+import type { Operation } from '@/types'
+
+// Fixtures for the randomized OT specs
+
+// Deterministic random numbers, so a failing case can be replayed
+export function createRandom(seed: number) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), seed | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// An operation covering the whole of a document of the given length
+export function randomOperation(random: () => number, length: number): Operation[] {
+  const ops: Operation[] = []
+  let position = 0
+  while (position < length) {
+    const count = 1 + Math.floor(random() * Math.min(4, length - position))
+    const choice = random()
+    if (choice < 0.4) {
+      ops.push({ type: 'retain', count })
+      position += count
+    } else if (choice < 0.7) {
+      ops.push({ type: 'delete', count })
+      position += count
+    } else {
+      ops.push({ type: 'insert', text: 'xyz'.slice(0, count) })
+    }
+  }
+  if (random() < 0.5) ops.push({ type: 'insert', text: 'end' })
+  return ops
+}
@@ -0,0 +1,14 @@
+/**
+ * Cheap content hash used to detect drifting from the server copy.
+ * 32-bit FNV-1a over UTF-16 code units.
+ *
+ * Mirrors server/ot/checksum.js - keep the two in sync.
+ */
+export function hashContent(content: string): string {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < content.length; i++) {
+    hash ^= content.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
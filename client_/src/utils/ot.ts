@@ -0,0 +1,281 @@
+import type { Operation } from '@/types'
+
+/**
+ * Transform operation op1 against operation op2
+ * Assuming op2 was applied first, transform op1 so it can be applied after op2
+ *
+ * Mirrors server/ot/transform.js - keep the two in sync so both sides
+ * resolve concurrent edits the same way.
+ */
+export function transform(
+  op1: Operation[],
+  op2: Operation[],
+  side: 'left' | 'right' = 'left'
+): Operation[] {
+  const result: Operation[] = []
+  let i = 0, j = 0
+  let op1Cursor = 0, op2Cursor = 0
+
+  while (i < op1.length || j < op2.length) {
+    const o1 = op1[i]
+    const o2 = op2[j]
+
+    if (!o1 && !o2) break
+
+    // op1 finished, op2 has inserts left
+    if (!o1 && o2?.type === 'insert') {
+      result.push({ type: 'retain', count: o2.text.length })
+      j++
+      continue
+    }
+
+    // op2 finished, copy what is left of op1
+    if (!o2) {
+      const rest = o1!
+      if (op1Cursor > 0 && rest.type !== 'insert') {
+        result.push({ type: rest.type, count: rest.count - op1Cursor })
+        op1Cursor = 0
+      } else {
+        result.push(rest)
+      }
+      i++
+      continue
+    }
+
+    // op1 finished, op2 has retains/deletes left
+    if (!o1) {
+      j++
+      continue
+    }
+
+    // Insert vs Insert at same position
+    if (o1.type === 'insert' && o2.type === 'insert') {
+      if (side === 'left') {
+        // op1 goes after op2
+        result.push({ type: 'retain', count: o2.text.length })
+        j++
+      } else {
+        result.push(o1)
+        i++
+      }
+      continue
+    }
+
+    // Insert from op1 - stays as insert
+    if (o1.type === 'insert') {
+      result.push(o1)
+      i++
+      continue
+    }
+
+    // Insert from op2 - need to retain over it in transformed op1
+    if (o2.type === 'insert') {
+      result.push({ type: 'retain', count: o2.text.length })
+      j++
+      continue
+    }
+
+    const minCount = Math.min(o1.count - op1Cursor, o2.count - op2Cursor)
+
+    if (o1.type === 'delete' && o2.type === 'retain') {
+      result.push({ type: 'delete', count: minCount })
+    } else if (o1.type === 'retain' && o2.type === 'retain') {
+      result.push({ type: 'retain', count: minCount })
+    }
+    // Delete vs Delete and Retain vs Delete: op2 already removed those characters
+    op1Cursor += minCount
+    op2Cursor += minCount
+
+    if (op1Cursor === o1.count) {
+      i++
+      op1Cursor = 0
+    }
+    if (op2Cursor === o2.count) {
+      j++
+      op2Cursor = 0
+    }
+  }
+
+  return compactOps(result)
+}
+
+/**
+ * Transform a document index (a cursor or selection offset) against an operation
+ * Mirrors transformIndex in server/ot/transform.js
+ *
+ * 'before' keeps the index in front of text inserted exactly at it, 'after'
+ * moves it past that text (e.g. for the cursor of the user who typed it)
+ */
+export function transformIndex(
+  index: number,
+  ops: Operation[],
+  side: 'before' | 'after' = 'before'
+): number {
+  let cursor = 0
+  let newIndex = index
+
+  for (const op of ops) {
+    if (cursor > index) break
+
+    if (op.type === 'retain') {
+      cursor += op.count
+    } else if (op.type === 'insert') {
+      if (cursor < index || side === 'after') {
+        newIndex += op.text.length
+      }
+    } else {
+      // Only the deleted characters in front of the index shift it
+      if (cursor < index) {
+        newIndex -= Math.min(op.count, index - cursor)
+      }
+      cursor += op.count
+    }
+  }
+
+  return newIndex
+}
+
+/**
+ * Compose two consecutive operations into one
+ * Applying the result is equivalent to applying a and then b
+ */
+export function compose(a: Operation[], b: Operation[]): Operation[] {
+  const ops1 = [...a]
+  const ops2 = [...b]
+  const result: Operation[] = []
+  let i = 0, j = 0
+
+  while (i < ops1.length || j < ops2.length) {
+    const o1 = ops1[i]
+    const o2 = ops2[j]
+
+    // Deletes from a never reach b
+    if (o1?.type === 'delete') {
+      result.push(o1)
+      i++
+      continue
+    }
+
+    // Inserts from b consume nothing of a's output
+    if (o2?.type === 'insert') {
+      result.push(o2)
+      j++
+      continue
+    }
+
+    // b finished - the rest of a passes through
+    if (!o2) {
+      result.push(o1!)
+      i++
+      continue
+    }
+
+    // a finished - b works on the untouched tail of the document
+    if (!o1) {
+      result.push(o2)
+      j++
+      continue
+    }
+
+    // o1 is a retain or insert, o2 is a retain or delete
+    const o1Length = o1.type === 'insert' ? o1.text.length : o1.count
+    const length = Math.min(o1Length, o2.count)
+
+    if (o1.type === 'retain') {
+      result.push({ type: o2.type, count: length })
+    } else if (o2.type === 'retain') {
+      result.push({ type: 'insert', text: o1.text.slice(0, length) })
+    }
+    // Insert followed by delete of the same text cancels out
+
+    if (length === o1Length) {
+      i++
+    } else {
+      ops1[i] = o1.type === 'insert'
+        ? { type: 'insert', text: o1.text.slice(length) }
+        : { type: 'retain', count: o1.count - length }
+    }
+
+    if (length === o2.count) {
+      j++
+    } else {
+      ops2[j] = { type: o2.type, count: o2.count - length }
+    }
+  }
+
+  return compactOps(result)
+}
+
+/**
+ * Build the operation that undoes ops, given the document it was applied to
+ * Mirrors invert in server/ot/operations.js
+ */
+export function invert(ops: Operation[], str: string): Operation[] {
+  const result: Operation[] = []
+  let cursor = 0
+
+  for (const op of ops) {
+    if (op.type === 'retain') {
+      result.push({ type: 'retain', count: op.count })
+      cursor += op.count
+    } else if (op.type === 'insert') {
+      result.push({ type: 'delete', count: op.text.length })
+    } else {
+      result.push({ type: 'insert', text: str.slice(cursor, cursor + op.count) })
+      cursor += op.count
+    }
+  }
+
+  // The rest of the document is retained implicitly
+  const compacted = compactOps(result)
+  if (compacted[compacted.length - 1]?.type === 'retain') compacted.pop()
+  return compacted
+}
+
+/**
+ * Compact consecutive operations of the same type
+ */
+export function compactOps(ops: Operation[]): Operation[] {
+  const result: Operation[] = []
+
+  for (const op of ops) {
+    const last = result[result.length - 1]
+
+    if (last?.type === 'insert' && op.type === 'insert') {
+      result[result.length - 1] = { type: 'insert', text: last.text + op.text }
+    } else if (last && last.type !== 'insert' && op.type !== 'insert' && op.type === last.type) {
+      result[result.length - 1] = { type: last.type, count: last.count + op.count }
+    } else {
+      result.push(op)
+    }
+  }
+
+  return result
+}
+
+/**
+ * Apply an operation to a string
+ * Mirrors applyOperation in server/ot/operations.js
+ */
+export function applyOperation(str: string, ops: Operation[]): string {
+  let result = ''
+  let cursor = 0
+
+  for (const op of ops) {
+    if (op.type === 'retain') {
+      result += str.slice(cursor, cursor + op.count)
+      cursor += op.count
+    } else if (op.type === 'insert') {
+      result += op.text
+    } else if (op.type === 'delete') {
+      cursor += op.count
+    }
+  }
+
+  // Append any remaining characters from the original string
+  if (cursor < str.length) {
+    result += str.slice(cursor)
+  }
+
+  return result
+}
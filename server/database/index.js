@@ -30,8 +30,8 @@ async function initializeRoomEditors(roomCode, editors) {
     await client.query('BEGIN');
     for (const editor of editors) {
       await client.query(
-        'INSERT INTO editor_documents (room_code, editor_id, content, revision) VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING',
-        [roomCode, editor.id, '', 0]
+        'INSERT INTO editor_documents (room_code, editor_id, name, language, content, base_content, revision) VALUES ($1, $2, $3, $4, $5, $5, $6) ON CONFLICT DO NOTHING',
+        [roomCode, editor.id, editor.name, editor.language, editor.content ?? '', 0]
       );
     }
     await client.query('COMMIT');
@@ -43,9 +43,18 @@ async function initializeRoomEditors(roomCode, editors) {
   }
 }
 
+// Content at revision 0, before any logged operation
+async function loadBaseContent(roomCode, editorId) {
+  const result = await pool.query(
+    'SELECT base_content FROM editor_documents WHERE room_code = $1 AND editor_id = $2',
+    [roomCode, editorId]
+  );
+  return result.rows[0]?.base_content ?? '';
+}
+
 async function loadRoomEditors(roomCode) {
   const result = await pool.query(
-    'SELECT editor_id, content, revision FROM editor_documents WHERE room_code = $1',
+    'SELECT editor_id, name, language, content, revision, run_input FROM editor_documents WHERE room_code = $1 ORDER BY editor_id',
     [roomCode]
   );
   return result.rows;
@@ -58,10 +67,24 @@ async function saveEditorState(roomCode, editorId, content, revision) {
   );
 }
 
-async function addEditorDocument(roomCode, editorId) {
+async function addEditorDocument(roomCode, editorId, name, language) {
   await pool.query(
-    'INSERT INTO editor_documents (room_code, editor_id, content, revision) VALUES ($1, $2, $3, $4)',
-    [roomCode, editorId, '', 0]
+    'INSERT INTO editor_documents (room_code, editor_id, name, language, content, revision) VALUES ($1, $2, $3, $4, $5, $6)',
+    [roomCode, editorId, name, language, '', 0]
+  );
+}
+
+async function updateEditorDocument(roomCode, editorId, { name, language }) {
+  await pool.query(
+    'UPDATE editor_documents SET name = $1, language = $2, updated_at = NOW() WHERE room_code = $3 AND editor_id = $4',
+    [name, language, roomCode, editorId]
+  );
+}
+
+async function saveRunInput(roomCode, editorId, runInput) {
+  await pool.query(
+    'UPDATE editor_documents SET run_input = $1 WHERE room_code = $2 AND editor_id = $3',
+    [JSON.stringify(runInput), roomCode, editorId]
   );
 }
 
@@ -70,6 +93,10 @@ async function removeEditorDocument(roomCode, editorId) {
     'DELETE FROM editor_documents WHERE room_code = $1 AND editor_id = $2',
     [roomCode, editorId]
   );
+  await pool.query(
+    'DELETE FROM editor_operations WHERE room_code = $1 AND editor_id = $2',
+    [roomCode, editorId]
+  );
 }
 
 async function cleanupRoom(roomCode) {
@@ -77,6 +104,210 @@ async function cleanupRoom(roomCode) {
     'DELETE FROM editor_documents WHERE room_code = $1',
     [roomCode]
   );
+  await pool.query(
+    'DELETE FROM editor_operations WHERE room_code = $1',
+    [roomCode]
+  );
+  await pool.query(
+    'DELETE FROM editor_snapshots WHERE room_code = $1',
+    [roomCode]
+  );
+  await pool.query(
+    'DELETE FROM room_invites WHERE room_code = $1',
+    [roomCode]
+  );
+  await pool.query(
+    'DELETE FROM room_webhooks WHERE room_code = $1',
+    [roomCode]
+  );
+  await pool.query(
+    'DELETE FROM rooms WHERE room_code = $1',
+    [roomCode]
+  );
+}
+
+// Room metadata
+async function saveRoom(roomCode, { nextEditorId, hostId, roles = {}, passphraseHash = null, inviteOnly = false, entryFileId = null, kickedUserIds = [] }) {
+  await pool.query(
+    `INSERT INTO rooms (room_code, next_editor_id, host_id, roles, passphrase_hash, invite_only, entry_file_id, kicked_user_ids)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (room_code) DO UPDATE
+     SET next_editor_id = EXCLUDED.next_editor_id, host_id = EXCLUDED.host_id,
+         roles = EXCLUDED.roles, passphrase_hash = EXCLUDED.passphrase_hash,
+         invite_only = EXCLUDED.invite_only, entry_file_id = EXCLUDED.entry_file_id,
+         kicked_user_ids = EXCLUDED.kicked_user_ids, updated_at = NOW()`,
+    [roomCode, nextEditorId, hostId, JSON.stringify(roles), passphraseHash, inviteOnly, entryFileId, kickedUserIds]
+  );
+}
+
+async function loadRoom(roomCode) {
+  const result = await pool.query(
+    `SELECT room_code, next_editor_id, host_id, roles, passphrase_hash, invite_only, entry_file_id, kicked_user_ids, empty_since
+     FROM rooms WHERE room_code = $1`,
+    [roomCode]
+  );
+  return result.rows[0] || null;
+}
+
+async function loadRooms() {
+  const result = await pool.query(
+    'SELECT room_code, empty_since FROM rooms'
+  );
+  return result.rows;
+}
+
+async function setRoomEmptySince(roomCode, emptySince) {
+  await pool.query(
+    'UPDATE rooms SET empty_since = $1, updated_at = NOW() WHERE room_code = $2',
+    [emptySince, roomCode]
+  );
+}
+
+// Invites
+async function createInvite(roomCode, token, createdBy) {
+  await pool.query(
+    'INSERT INTO room_invites (token, room_code, created_by) VALUES ($1, $2, $3)',
+    [token, roomCode, createdBy]
+  );
+}
+
+// Mark an invite as used. Returns false if it does not exist or was already used.
+async function consumeInvite(roomCode, token, usedBy) {
+  const result = await pool.query(
+    `UPDATE room_invites SET used_by = $3, used_at = NOW()
+     WHERE token = $1 AND room_code = $2 AND used_at IS NULL`,
+    [token, roomCode, usedBy]
+  );
+  return result.rowCount > 0;
+}
+
+// Snapshots
+async function createSnapshot(roomCode, name, files, createdBy) {
+  const result = await pool.query(
+    `INSERT INTO editor_snapshots (room_code, name, files, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, name, created_by, created_at, jsonb_array_length(files) AS file_count`,
+    [roomCode, name, JSON.stringify(files), createdBy]
+  );
+  return result.rows[0];
+}
+
+async function listSnapshots(roomCode) {
+  const result = await pool.query(
+    `SELECT id, name, created_by, created_at, jsonb_array_length(files) AS file_count
+     FROM editor_snapshots
+     WHERE room_code = $1
+     ORDER BY created_at DESC`,
+    [roomCode]
+  );
+  return result.rows;
+}
+
+async function getSnapshot(roomCode, snapshotId) {
+  const result = await pool.query(
+    'SELECT id, name, files FROM editor_snapshots WHERE room_code = $1 AND id = $2',
+    [roomCode, snapshotId]
+  );
+  return result.rows[0] || null;
+}
+
+// Webhooks
+async function createWebhook(roomCode, { url, events, secret }) {
+  const result = await pool.query(
+    `INSERT INTO room_webhooks (room_code, url, events, secret)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, url, events, secret, created_at`,
+    [roomCode, url, events, secret]
+  );
+  return result.rows[0];
+}
+
+async function listWebhooks(roomCode) {
+  const result = await pool.query(
+    'SELECT id, url, events, secret, created_at FROM room_webhooks WHERE room_code = $1 ORDER BY id',
+    [roomCode]
+  );
+  return result.rows;
+}
+
+// Returns false if the room has no such webhook
+async function deleteWebhook(roomCode, webhookId) {
+  const result = await pool.query(
+    'DELETE FROM room_webhooks WHERE room_code = $1 AND id = $2',
+    [roomCode, webhookId]
+  );
+  return result.rowCount > 0;
+}
+
+async function saveWebhookDelivery(delivery) {
+  await pool.query(
+    `INSERT INTO webhook_deliveries (id, webhook_id, room_code, event, status, attempts, response_status, error)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (id) DO UPDATE
+     SET status = EXCLUDED.status, attempts = EXCLUDED.attempts,
+         response_status = EXCLUDED.response_status, error = EXCLUDED.error, updated_at = NOW()`,
+    [delivery.id, delivery.webhookId, delivery.roomCode, delivery.event, delivery.status,
+      delivery.attempts, delivery.responseStatus, delivery.error]
+  );
+}
+
+async function listWebhookDeliveries(roomCode, webhookId, limit = 50) {
+  const result = await pool.query(
+    `SELECT id, event, status, attempts, response_status, error, created_at, updated_at
+     FROM webhook_deliveries
+     WHERE room_code = $1 AND webhook_id = $2
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [roomCode, webhookId, limit]
+  );
+  return result.rows;
+}
+
+async function deleteWebhookDeliveriesBefore(before) {
+  await pool.query(
+    'DELETE FROM webhook_deliveries WHERE created_at < $1',
+    [before]
+  );
+}
+
+// Operation log
+async function appendOperation(roomCode, editorId, revision, operation, author) {
+  await pool.query(
+    'INSERT INTO editor_operations (room_code, editor_id, revision, operation, author_name, author_color) VALUES ($1, $2, $3, $4, $5, $6)',
+    [roomCode, editorId, revision, JSON.stringify(operation), author?.username ?? null, author?.color ?? null]
+  );
+}
+
+async function loadOperationsSince(roomCode, editorId, revision) {
+  const result = await pool.query(
+    'SELECT revision, operation FROM editor_operations WHERE room_code = $1 AND editor_id = $2 AND revision > $3 ORDER BY revision',
+    [roomCode, editorId, revision]
+  );
+  return result.rows;
+}
+
+async function loadOperationsRange(roomCode, editorId, fromRevision, toRevision) {
+  const result = await pool.query(
+    `SELECT revision, operation, author_name, author_color, created_at
+     FROM editor_operations
+     WHERE room_code = $1 AND editor_id = $2 AND revision > $3 AND revision <= $4
+     ORDER BY revision`,
+    [roomCode, editorId, fromRevision, toRevision]
+  );
+  return result.rows;
+}
+
+// Everyone who edited a file of the room, in order of their first edit
+async function listOperationAuthors(roomCode) {
+  const result = await pool.query(
+    `SELECT author_name
+     FROM editor_operations
+     WHERE room_code = $1 AND author_name IS NOT NULL
+     GROUP BY author_name
+     ORDER BY MIN(created_at)`,
+    [roomCode]
+  );
+  return result.rows.map(row => row.author_name);
 }
 
 module.exports = {
@@ -84,8 +315,30 @@ module.exports = {
   initializeDatabase,
   initializeRoomEditors,
   loadRoomEditors,
+  loadBaseContent,
   saveEditorState,
   addEditorDocument,
+  updateEditorDocument,
+  saveRunInput,
   removeEditorDocument,
-  cleanupRoom
+  cleanupRoom,
+  saveRoom,
+  loadRoom,
+  loadRooms,
+  setRoomEmptySince,
+  createInvite,
+  consumeInvite,
+  appendOperation,
+  loadOperationsSince,
+  loadOperationsRange,
+  listOperationAuthors,
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  saveWebhookDelivery,
+  listWebhookDeliveries,
+  deleteWebhookDeliveriesBefore
 };
@@ -11,3 +11,110 @@ CREATE TABLE IF NOT EXISTS editor_documents (
 -- Index for efficient room cleanup
 CREATE INDEX IF NOT EXISTS idx_editor_documents_room
 ON editor_documents(room_code);
+
+-- Log of every applied operation, used to rebase stale operations
+-- and to replay edits that happened after the last document save
+CREATE TABLE IF NOT EXISTS editor_operations (
+  room_code   TEXT NOT NULL,
+  editor_id   INTEGER NOT NULL,
+  revision    INTEGER NOT NULL,
+  operation   JSONB NOT NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (room_code, editor_id, revision)
+);
+
+-- Authorship for the revision history browser
+ALTER TABLE editor_operations ADD COLUMN IF NOT EXISTS author_name TEXT;
+ALTER TABLE editor_operations ADD COLUMN IF NOT EXISTS author_color TEXT;
+
+-- Named checkpoints of every file in a room
+CREATE TABLE IF NOT EXISTS editor_snapshots (
+  id          SERIAL PRIMARY KEY,
+  room_code   TEXT NOT NULL,
+  name        TEXT NOT NULL,
+  files       JSONB NOT NULL,
+  created_by  TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_editor_snapshots_room
+ON editor_snapshots(room_code);
+
+-- Room metadata, so rooms can be reloaded after a server restart
+CREATE TABLE IF NOT EXISTS rooms (
+  room_code       TEXT PRIMARY KEY,
+  next_editor_id  INTEGER NOT NULL,
+  host_id         TEXT,
+  empty_since     TIMESTAMPTZ,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- File metadata for each editor document
+ALTER TABLE editor_documents ADD COLUMN IF NOT EXISTS name TEXT;
+ALTER TABLE editor_documents ADD COLUMN IF NOT EXISTS language TEXT;
+
+-- Per-user roles set by the host (userId -> 'editor' | 'viewer')
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS roles JSONB NOT NULL DEFAULT '{}';
+
+-- Access control: scrypt hash of the room passphrase, and whether joining needs an invite
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS passphrase_hash TEXT;
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS invite_only BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Single-use invite links
+CREATE TABLE IF NOT EXISTS room_invites (
+  token       TEXT PRIMARY KEY,
+  room_code   TEXT NOT NULL,
+  created_by  TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  used_by     TEXT,
+  used_at     TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_invites_room
+ON room_invites(room_code);
+
+-- File that runs when anything in the room is executed; NULL runs the file Run was pressed in
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS entry_file_id INTEGER;
+
+-- Users the host kicked, whose session tokens no longer let them back in
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS kicked_user_ids TEXT[] NOT NULL DEFAULT '{}';
+
+-- Shared execution input per file: { stdin, args, compileTimeout, runTimeout }
+ALTER TABLE editor_documents ADD COLUMN IF NOT EXISTS run_input JSONB;
+
+-- Content a file started with, e.g. from an upload. The operation log
+-- replays from it, so revision 0 of such a file isn't empty.
+ALTER TABLE editor_documents ADD COLUMN IF NOT EXISTS base_content TEXT NOT NULL DEFAULT '';
+
+-- Outbound webhooks per room. events holds event names, or '*' for all of them;
+-- the secret signs every delivery.
+CREATE TABLE IF NOT EXISTS room_webhooks (
+  id          SERIAL PRIMARY KEY,
+  room_code   TEXT NOT NULL,
+  url         TEXT NOT NULL,
+  events      TEXT[] NOT NULL,
+  secret      TEXT NOT NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_webhooks_room
+ON room_webhooks(room_code);
+
+-- One row per webhook delivery, updated on every attempt. Kept after the
+-- room is gone so late deliveries such as room_closed are still logged.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id               TEXT PRIMARY KEY,
+  webhook_id       INTEGER NOT NULL,
+  room_code        TEXT NOT NULL,
+  event            TEXT NOT NULL,
+  status           TEXT NOT NULL, -- 'pending' | 'delivered' | 'failed'
+  attempts         INTEGER NOT NULL DEFAULT 0,
+  response_status  INTEGER,
+  error            TEXT,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook
+ON webhook_deliveries(webhook_id, created_at);
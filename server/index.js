@@ -2,8 +2,20 @@ const express = require("express");
 const app = express();
 const cors = require("cors");
 const http = require("http");
-const { executeCode, getSupportedLanguages } = require('./services/executionService');
+const crypto = require("crypto");
+const archiveService = require('./services/archiveService');
+const runtimeService = require('./services/runtimeService');
+const executionQueueService = require('./services/executionQueueService');
 const documentService = require('./services/documentService');
+const sessionService = require('./services/sessionService');
+const accessService = require('./services/accessService');
+const validationService = require('./services/validationService');
+const rateLimitService = require('./services/rateLimitService');
+const apiKeyService = require('./services/apiKeyService');
+const webhookService = require('./services/webhookService');
+const gitService = require('./services/gitService');
+const { createReplaceOperation } = require('./ot/operations');
+const { hashContent } = require('./ot/checksum');
 const db = require('./database');
 
 app.use(cors());
@@ -15,7 +27,7 @@ const { Server } = require("socket.io");
 const port = 3000;
 
 // Initialize database on startup
-db.initializeDatabase().catch(err => {
+db.initializeDatabase().then(restoreRoomExpiries).catch(err => {
   console.error('[Server] Failed to initialize database:', err);
   process.exit(1);
 });
@@ -23,13 +35,421 @@ db.initializeDatabase().catch(err => {
 const rooms = new Map();
 const socketToRoom = new Map();
 
+const ROOM_EXPIRY_MS = 30 * 60 * 1000;
+const RECONNECT_GRACE_MS = 30 * 1000; // How long a disconnected user keeps their seat
+const DEFAULT_FILES = [{ name: 'main.js', language: 'javascript' }]; // What a room starts with
+const expiryTimers = new Map(); // roomCode -> timer that deletes the room while it is empty
+const roomLoads = new Map(); // roomCode -> pending load from the database
+
 const io = new Server(server, {
     cors: {
         origin: "*",
         methods: ["GET", "POST"],
     },
+    maxHttpBufferSize: 10 * 1024 * 1024, // Room file uploads, see validationService
 })
 
+// Every file of a room as a zip. The session token handed out on joining
+// goes in the Authorization header, so only members can download a room.
+app.get("/rooms/:roomCode/archive", async (req, res) => {
+    const token = req.get('authorization')?.match(/^Bearer (.+)$/)?.[1];
+    const session = sessionService.verifySessionToken(token);
+    if (!session || session.roomCode !== req.params.roomCode) {
+        res.status(401).json({ message: 'A session token for this room is required' });
+        return;
+    }
+
+    try {
+        const room = await getOrLoadRoom(session.roomCode);
+        if (!room) {
+            res.status(404).json({ message: 'Room not found' });
+            return;
+        }
+        if (room.kickedUserIds.has(session.userId)) {
+            res.status(403).json({ message: 'You were removed from this room' });
+            return;
+        }
+
+        const files = room.editors.map(editor => ({
+            name: editor.name,
+            content: room.editorDocs[editor.id]?.content ?? ''
+        }));
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${session.roomCode}.zip"`
+        });
+        for (const chunk of archiveService.createZip(files)) {
+            if (res.write(chunk)) continue;
+            await new Promise(resolve => {
+                res.once('drain', resolve);
+                res.once('close', resolve);
+            });
+            if (res.destroyed) return; // The download was cancelled
+        }
+        res.end();
+    } catch (error) {
+        console.error('[archive] Error:', error);
+        if (res.headersSent) {
+            res.destroy();
+        } else {
+            res.status(500).json({ message: 'Failed to build the archive' });
+        }
+    }
+});
+
+// Versioned JSON API for scripts, bots and CI. Requests carry a key from
+// API_KEYS as a Bearer token. Edits go through the same OT pipeline as the
+// editor, so everyone in the room sees them live.
+const api = express.Router();
+
+function sendApiError(res, status, code, message, details) {
+    res.status(status).json({ code, message, ...details });
+}
+
+api.use((req, res, next) => {
+    if (!apiKeyService.isEnabled()) {
+        sendApiError(res, 503, 'api_disabled', 'The API is disabled; set API_KEYS to enable it');
+        return;
+    }
+    const key = req.get('authorization')?.match(/^Bearer (.+)$/)?.[1];
+    const client = apiKeyService.authenticate(key);
+    if (!client) {
+        sendApiError(res, 401, 'invalid_api_key', 'A valid API key is required');
+        return;
+    }
+
+    const retryAfter = rateLimitService.consume('api_request', { key: client.name });
+    if (retryAfter > 0) {
+        res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+        sendApiError(res, 429, 'rate_limited', 'Too many requests', { retryAfter });
+        return;
+    }
+
+    res.locals.client = client;
+    next();
+});
+
+// Parsed after the key check, so unauthenticated bodies are never read
+api.use(express.json({ limit: '5mb' }));
+
+// Express 4 doesn't catch rejected handlers, so errors are answered here
+function apiRoute(handler) {
+    return async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            if (error instanceof validationService.ValidationError) {
+                sendApiError(res, 400, error.code, error.message, { field: error.field });
+            } else if (error instanceof documentService.ResyncRequiredError) {
+                sendApiError(res, 409, 'resync_required', error.message);
+            } else if (error instanceof gitService.GitError) {
+                const status = error.code === 'git_disabled' ? 503 : error.conflict ? 409 : 400;
+                sendApiError(res, status, error.code, error.message);
+            } else {
+                console.error(`[api] ${req.method} ${req.originalUrl} failed:`, error);
+                sendApiError(res, 500, 'internal_error', 'Something went wrong');
+            }
+        }
+    };
+}
+
+// The room a request is about, or null once a 404 has been sent
+async function findApiRoom(req, res) {
+    const roomCode = validationService.validateRoomCode(req.params.roomCode);
+    const room = await getOrLoadRoom(roomCode);
+    if (!room) {
+        sendApiError(res, 404, 'room_not_found', 'Room not found');
+        return null;
+    }
+    return { roomCode, room };
+}
+
+// The file a request is about, or null once a 404 has been sent
+function findApiEditor(req, res, room) {
+    const editorId = Number(req.params.fileId);
+    const editor = room.editors.find(e => e.id === editorId);
+    if (!editor) {
+        sendApiError(res, 404, 'editor_not_found', 'File not found');
+        return null;
+    }
+    return editor;
+}
+
+function serializeApiFile(room, editor) {
+    return {
+        id: editor.id,
+        name: editor.name,
+        language: editor.language,
+        revision: room.editorDocs[editor.id].revision
+    };
+}
+
+function serializeApiRoom(roomCode, room) {
+    return {
+        roomCode,
+        files: room.editors.map(editor => serializeApiFile(room, editor)),
+        entryFileId: room.entryFileId,
+        hostId: room.hostId,
+        users: serializeUsers(room),
+        inviteOnly: room.inviteOnly,
+        hasPassphrase: Boolean(room.passphraseHash)
+    };
+}
+
+// Edits are recorded under the API client's name in the file history
+const apiAuthor = (res) => ({ username: res.locals.client.name });
+
+api.post("/rooms", apiRoute(async (req, res) => {
+    const body = validationService.validateApiPayload('create_room', req.body);
+    const { passphrase, inviteOnly, git, webhooks } = body;
+    let { files = DEFAULT_FILES } = body;
+
+    // Files from a commit of a repository on the server
+    let imported = null;
+    if (git) {
+        imported = await gitService.importFiles(git.repository, git.ref);
+        if (imported.files.length === 0) {
+            sendApiError(res, 400, 'empty_import', `${git.ref ?? 'HEAD'} has no text files to edit`, { field: 'git' });
+            return;
+        }
+        files = imported.files;
+    }
+
+    const editors = [];
+    for (const file of files) {
+        if (findPathConflict({ editors }, file.name)) {
+            sendApiError(res, 400, 'duplicate_path', `${file.name} clashes with another file`, { field: 'files' });
+            return;
+        }
+        editors.push({
+            id: editors.length + 1,
+            name: file.name,
+            language: file.language ?? archiveService.detectLanguage(file.name),
+            content: file.content
+        });
+    }
+
+    const { roomCode, room, webhooks: createdWebhooks } = await createRoom(editors, {
+        passphrase,
+        inviteOnly,
+        webhooks,
+        createdBy: res.locals.client.name
+    });
+    // Nobody is in it yet, so it expires like any room left empty; the first to join becomes host
+    scheduleRoomExpiry(roomCode);
+    await db.setRoomEmptySince(roomCode, new Date());
+
+    console.log(`[${new Date().toISOString()}] Room ${roomCode} created through the API by ${res.locals.client.name}`);
+    // The only response that includes the webhooks' secrets
+    res.status(201).json({
+        ...serializeApiRoom(roomCode, room),
+        webhooks: createdWebhooks,
+        ...(imported && { git: { commit: imported.commit, skipped: imported.skipped } })
+    });
+}));
+
+api.get("/rooms/:roomCode", apiRoute(async (req, res) => {
+    const found = await findApiRoom(req, res);
+    if (!found) return;
+    res.json(serializeApiRoom(found.roomCode, found.room));
+}));
+
+api.delete("/rooms/:roomCode", apiRoute(async (req, res) => {
+    const found = await findApiRoom(req, res);
+    if (!found) return;
+    await closeRoom(found.roomCode, found.room, 'The room was closed');
+    console.log(`[${new Date().toISOString()}] Room ${found.roomCode} closed through the API by ${res.locals.client.name}`);
+    res.status(204).end();
+}));
+
+api.get("/rooms/:roomCode/files", apiRoute(async (req, res) => {
+    const found = await findApiRoom(req, res);
+    if (!found) return;
+    res.json({ files: found.room.editors.map(editor => serializeApiFile(found.room, editor)) });
+}));
+
+api.post("/rooms/:roomCode/files", apiRoute(async (req, res) => {
+    const found = await findApiRoom(req, res);
+    if (!found) return;
+    const { roomCode, room } = found;
+    const { name, language, content } = validationService.validateApiPayload('create_file', req.body);
+    if (findPathConflict(room, name)) {
+        sendApiError(res, 409, 'duplicate_path', `${name} already exists`, { field: 'name' });
+        return;
+    }
+
+    const editor = await addEditorToRoom(roomCode, room, {
+        name,
+        language: language ?? archiveService.detectLanguage(name)
+    });
+    if (content) {
+        await applyAndBroadcastOperation(roomCode, editor.id, createReplaceOperation('', content), 0, apiAuthor(res));
+    }
+    res.status(201).json(serializeApiFile(room, editor));
+}));
+
+api.get("/rooms/:roomCode/files/:fileId", apiRoute(async (req, res) => {
+    const found = await findApiRoom(req, res);
+    if (!found) return;
+    const editor = findApiEditor(req, res, found.room);
+    if (!editor) return;
+
+    const editorDoc = found.room.editorDocs[editor.id];
+    res.json({
+        ...serializeApiFile(found.room, editor),
+        content: editorDoc.content,
+        checksum: hashContent(editorDoc.content)
+    });
+}));
+
+// An OT operation made against baseRevision, rebased onto the current document
+api.post("/rooms/:roomCode/files/:fileId/operations", apiRoute(async (req, res) => {
+    const found = await findApiRoom(req, res);
+    if (!found) return;
+    const editor = findApiEditor(req, res, found.room);
+    if (!editor) return;
+    const { operation, baseRevision } = validationService.validateApiPayload('apply_operation', req.body);
+
+    const { transformedOp, newRevision, checksum } = await applyAndBroadcastOperation(
+        found.roomCode,
+        editor.id,
+        operation,
+        baseRevision,
+        apiAuthor(res)
+    );
+    res.json({ revision: newRevision, operation: transformedOp, checksum });
+}));
+
+// Replace a file's content. With a baseRevision the replacement is rebased
+// like any other stale edit, so changes made since that revision are kept.
+api.put("/rooms/:roomCode/files/:fileId/content", apiRoute(async (req, res) => {
+    const found = await findApiRoom(req, res);
+    if (!found) return;
+    const { roomCode, room } = found;
+    const editor = findApiEditor(req, res, room);
+    if (!editor) return;
+    const { content, baseRevision } = validationService.validateApiPayload('replace_content', req.body);
+
+    const editorDoc = room.editorDocs[editor.id];
+    const revision = baseRevision ?? editorDoc.revision;
+    if (revision > editorDoc.revision) {
+        sendApiError(res, 409, 'resync_required', `Revision ${revision} does not exist yet, the file is at ${editorDoc.revision}`);
+        return;
+    }
+
+    let baseContent;
+    try {
+        baseContent = revision === editorDoc.revision
+            ? editorDoc.content
+            : await documentService.getRevisionContent(roomCode, editor.id, revision);
+    } catch (error) {
+        sendApiError(res, 409, 'resync_required', error.message);
+        return;
+    }
+    if (baseContent === content) {
+        res.json({ revision: editorDoc.revision, checksum: hashContent(editorDoc.content) });
+        return;
+    }
+
+    const { newRevision, checksum } = await applyAndBroadcastOperation(
+        roomCode,
+        editor.id,
+        createReplaceOperation(baseContent, content),
+        revision,
+        apiAuthor(res)
+    );
+    res.json({ revision: newRevision, checksum });
+}));
+
+// Commit every file of the room to a repository on the server, with everyone
+// who took part as co-authors
+api.post("/rooms/:roomCode/git/export", apiRoute(async (req, res) => {
+    const found = await findApiRoom(req, res);
+    if (!found) return;
+    const { repository, branch, message } = validationService.validateApiPayload('git_export', req.body);
+    const { roomCode, room } = found;
+
+    const participants = new Set(Array.from(room.users.values()).map(user => user.username));
+    (await db.listOperationAuthors(roomCode)).forEach(name => participants.add(name));
+
+    const result = await gitService.exportFiles(repository, {
+        files: room.editors.map(editor => ({ name: editor.name, content: room.editorDocs[editor.id].content })),
+        branch,
+        message: message ?? `Update from room ${roomCode}`,
+        author: res.locals.client.name,
+        coAuthors: Array.from(participants)
+    });
+
+    if (result.changed) {
+        console.log(`[${new Date().toISOString()}] Room ${roomCode} exported to ${repository} (${result.branch} at ${result.commit}) by ${res.locals.client.name}`);
+    }
+    res.status(result.changed ? 201 : 200).json(result);
+}));
+
+api.get("/rooms/:roomCode/webhooks", apiRoute(async (req, res) => {
+    const found = await findApiRoom(req, res);
+    if (!found) return;
+    res.json({ webhooks: await webhookService.listWebhooks(found.roomCode) });
+}));
+
+api.post("/rooms/:roomCode/webhooks", apiRoute(async (req, res) => {
+    const found = await findApiRoom(req, res);
+    if (!found) return;
+    const webhook = validationService.validateApiPayload('create_webhook', req.body);
+
+    const existing = await webhookService.listWebhooks(found.roomCode);
+    if (existing.length >= validationService.MAX_WEBHOOKS_PER_ROOM) {
+        sendApiError(res, 409, 'too_many_webhooks', `A room can have at most ${validationService.MAX_WEBHOOKS_PER_ROOM} webhooks`);
+        return;
+    }
+
+    const created = await webhookService.addWebhook(found.roomCode, webhook);
+    console.log(`[${new Date().toISOString()}] Webhook ${created.id} added to room ${found.roomCode} by ${res.locals.client.name}`);
+    res.status(201).json(created);
+}));
+
+api.delete("/rooms/:roomCode/webhooks/:webhookId", apiRoute(async (req, res) => {
+    const found = await findApiRoom(req, res);
+    if (!found) return;
+    const removed = Number.isInteger(Number(req.params.webhookId)) &&
+        await webhookService.removeWebhook(found.roomCode, Number(req.params.webhookId));
+    if (!removed) {
+        sendApiError(res, 404, 'webhook_not_found', 'Webhook not found');
+        return;
+    }
+    res.status(204).end();
+}));
+
+api.get("/rooms/:roomCode/webhooks/:webhookId/deliveries", apiRoute(async (req, res) => {
+    const found = await findApiRoom(req, res);
+    if (!found) return;
+    const webhookId = Number(req.params.webhookId);
+    const webhooks = await webhookService.listWebhooks(found.roomCode);
+    if (!webhooks.some(webhook => webhook.id === webhookId)) {
+        sendApiError(res, 404, 'webhook_not_found', 'Webhook not found');
+        return;
+    }
+    res.json({ deliveries: await webhookService.listDeliveries(found.roomCode, webhookId) });
+}));
+
+api.use((req, res) => {
+    sendApiError(res, 404, 'not_found', `No route for ${req.method} ${req.path}`);
+});
+
+// Errors from express.json; Express only treats handlers with four arguments as error handlers
+api.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        sendApiError(res, 413, 'payload_too_large', 'The request body is too large');
+    } else if (error.type === 'entity.parse.failed') {
+        sendApiError(res, 400, 'invalid_json', 'The request body must be valid JSON');
+    } else {
+        console.error(`[api] ${req.method} ${req.originalUrl} failed:`, error);
+        sendApiError(res, 500, 'internal_error', 'Something went wrong');
+    }
+});
+
+app.use("/api/v1", api);
+
 function generateRoomCode(){
     const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
     let code;
@@ -42,66 +462,694 @@ function generateRoomCode(){
     return code;
 }
 
+// Create a room with the given files and save it. Files may come with
+// content, which becomes their revision 0. Webhooks are subscribed before
+// anything is announced, so they hear of the room being created.
+async function createRoom(editors, { passphrase, inviteOnly = false, hostId = null, users = new Map(), webhooks = [], createdBy }) {
+    let roomCode;
+    do {
+        roomCode = generateRoomCode();
+    } while (await db.loadRoom(roomCode));
+    const passphraseHash = typeof passphrase === 'string' && passphrase
+        ? await accessService.hashPassphrase(passphrase)
+        : null;
+
+    // Initialize editor documents with database persistence
+    const editorDocs = await documentService.initializeEditorDocs(roomCode, editors);
+
+    const roomData = {
+        editors: editors.map(({ id, name, language }) => ({ id, name, language })),
+        nextEditorId: editors.length + 1,
+        users,
+        hostId,
+        roles: new Map(),
+        passphraseHash,
+        inviteOnly: inviteOnly === true,
+        entryFileId: null,
+        kickedUserIds: new Set(),
+        editorDocs: editorDocs // NEW: server-authoritative state
+    };
+    await db.saveRoom(roomCode, {
+        nextEditorId: roomData.nextEditorId,
+        hostId: roomData.hostId,
+        passphraseHash: roomData.passphraseHash,
+        inviteOnly: roomData.inviteOnly
+    });
+
+    const createdWebhooks = [];
+    for (const webhook of webhooks) {
+        createdWebhooks.push(await webhookService.addWebhook(roomCode, webhook));
+    }
+
+    rooms.set(roomCode, roomData);
+    webhookService.emit(roomCode, 'room_created', {
+        files: roomData.editors,
+        inviteOnly: roomData.inviteOnly,
+        hasPassphrase: Boolean(passphraseHash),
+        createdBy
+    });
+    return { roomCode, room: roomData, webhooks: createdWebhooks };
+}
+
+// Send everyone out of a room and delete it, in memory and in the database
+async function closeRoom(roomCode, room, message) {
+    io.to(roomCode).emit("room_closed", { message });
+    clearRoomExpiry(roomCode);
+    room.users.forEach(user => {
+        clearTimeout(user.disconnectTimer);
+        socketToRoom.delete(user.socketId);
+    });
+    rooms.delete(roomCode);
+    executionQueueService.cancelRoomJobs(roomCode);
+
+    // Webhooks go with the room, so they get their last events first
+    await webhookService.flushRoom(roomCode);
+    await webhookService.emit(roomCode, 'room_closed', { reason: 'closed' });
+    webhookService.forgetRoom(roomCode);
+
+    try {
+        await db.cleanupRoom(roomCode);
+    } catch (error) {
+        console.error('[close_room] Database error:', error);
+    }
+}
+
+// Delete an empty room once the delay passes, in memory and in the database
+function scheduleRoomExpiry(roomCode, delay = ROOM_EXPIRY_MS) {
+    clearRoomExpiry(roomCode);
+    expiryTimers.set(roomCode, setTimeout(async () => {
+        expiryTimers.delete(roomCode);
+        const room = rooms.get(roomCode);
+        if (room && room.users.size > 0) return;
+
+        try {
+            await webhookService.flushRoom(roomCode);
+            await webhookService.emit(roomCode, 'room_closed', { reason: 'expired' });
+            await db.cleanupRoom(roomCode);
+            rooms.delete(roomCode);
+            webhookService.forgetRoom(roomCode);
+            executionQueueService.cancelRoomJobs(roomCode);
+            console.log(`[${new Date().toISOString()}] Room ${roomCode} expired and deleted`);
+        } catch (error) {
+            console.error('[expiry] Room cleanup error:', error);
+        }
+    }, delay));
+}
+
+function clearRoomExpiry(roomCode) {
+    clearTimeout(expiryTimers.get(roomCode));
+    expiryTimers.delete(roomCode);
+}
+
+// Rebuild expiry timers for persisted rooms after a restart. Rooms that still
+// had users when the server went down count as empty from now.
+async function restoreRoomExpiries() {
+    const storedRooms = await db.loadRooms();
+    const now = Date.now();
+
+    for (const { room_code: roomCode, empty_since: emptySince } of storedRooms) {
+        if (!emptySince) {
+            await db.setRoomEmptySince(roomCode, new Date(now));
+        }
+        const emptyFor = emptySince ? now - new Date(emptySince).getTime() : 0;
+        scheduleRoomExpiry(roomCode, Math.max(0, ROOM_EXPIRY_MS - emptyFor));
+    }
+
+    console.log(`[Server] Scheduled expiry for ${storedRooms.length} persisted rooms`);
+}
+
+// Persist room metadata. The in-memory room stays authoritative, so
+// failures are only logged.
+async function persistRoom(roomCode, room) {
+    try {
+        await db.saveRoom(roomCode, {
+            nextEditorId: room.nextEditorId,
+            hostId: room.hostId,
+            roles: Object.fromEntries(room.roles),
+            passphraseHash: room.passphraseHash,
+            inviteOnly: room.inviteOnly,
+            entryFileId: room.entryFileId,
+            kickedUserIds: Array.from(room.kickedUserIds)
+        });
+    } catch (error) {
+        console.error(`[Server] Failed to save room ${roomCode}:`, error);
+    }
+}
+
+// Effective role of a user: the host, or whatever the host assigned (editor by default)
+function getUserRole(room, userId) {
+    if (userId === room.hostId) return 'host';
+    return room.roles.get(userId) ?? 'editor';
+}
+
+// Viewers can follow along but not change files
+function canEdit(room, userId) {
+    return getUserRole(room, userId) !== 'viewer';
+}
+
+// Users as sent to clients. room.users is keyed by a stable userId; the
+// socket behind a user changes whenever they reconnect.
+function serializeUsers(room) {
+    return Array.from(room.users.entries()).map(([userId, user]) => ({
+        userId,
+        username: user.username,
+        color: user.color,
+        role: getUserRole(room, userId)
+    }));
+}
+
+function bindSocketToUser(socket, roomCode, userId) {
+    socket.data.userId = userId;
+    socketToRoom.set(socket.id, roomCode);
+    socket.join(roomCode);
+}
+
+// Add a user to an existing room and bind the socket to them
+async function addUserToRoom(socket, roomCode, room, userId, { username, color }) {
+    clearRoomExpiry(roomCode);
+    if (room.users.size === 0) {
+        await db.setRoomEmptySince(roomCode, null);
+    }
+
+    const user = { username, color, socketId: socket.id, editors: new Set(), disconnectTimer: null };
+    room.users.set(userId, user);
+    bindSocketToUser(socket, roomCode, userId);
+
+    // The host is gone if the room was reloaded; the first one back takes over
+    if (!room.users.has(room.hostId)) {
+        room.hostId = userId;
+        await persistRoom(roomCode, room);
+    }
+
+    webhookService.emit(roomCode, 'user_joined', { userId, username, role: getUserRole(room, userId) });
+    return user;
+}
+
+// Remove a user whose socket did not come back within the grace period
+async function removeDisconnectedUser(roomCode, userId) {
+    const room = rooms.get(roomCode);
+    const user = room?.users.get(userId);
+    if (!user || user.socketId) return;
+
+    room.users.delete(userId);
+
+    if (userId === room.hostId) {
+        // Host left, transfer host role, preferring someone who is still connected
+        const connected = Array.from(room.users.entries()).find(([, u]) => u.socketId);
+        const nextUser = connected ? connected[0] : room.users.keys().next().value;
+        if (nextUser) {
+            room.hostId = nextUser;
+            io.to(roomCode).emit("host_transferred", { newHostId: nextUser });
+            await persistRoom(roomCode, room);
+        }
+    }
+
+    io.to(roomCode).emit("user_left", { userId });
+    webhookService.emit(roomCode, 'user_left', { userId, username: user.username, reason: 'disconnected' });
+
+    if (room.users.size === 0) {
+        scheduleRoomExpiry(roomCode);
+        try {
+            await db.setRoomEmptySince(roomCode, new Date());
+        } catch (error) {
+            console.error('[disconnect] Database error:', error);
+        }
+    }
+}
+
+// Rebuild a room from the database, e.g. after a server restart
+async function loadPersistedRoom(roomCode) {
+    const roomRow = await db.loadRoom(roomCode);
+    if (!roomRow) return null;
+
+    const editorRows = await db.loadRoomEditors(roomCode);
+    const roomData = {
+        editors: editorRows.map(row => ({
+            id: row.editor_id,
+            name: row.name ?? `file${row.editor_id}.js`,
+            language: row.language ?? 'javascript',
+            ...(row.run_input && { runInput: row.run_input })
+        })),
+        nextEditorId: roomRow.next_editor_id,
+        users: new Map(),
+        hostId: roomRow.host_id, // Restored by resume_session, otherwise replaced on join
+        roles: new Map(Object.entries(roomRow.roles ?? {})),
+        passphraseHash: roomRow.passphrase_hash,
+        inviteOnly: roomRow.invite_only,
+        entryFileId: roomRow.entry_file_id,
+        kickedUserIds: new Set(roomRow.kicked_user_ids ?? []),
+        editorDocs: await documentService.loadEditorDocs(roomCode)
+    };
+
+    rooms.set(roomCode, roomData);
+    console.log(`[${new Date().toISOString()}] Loaded room ${roomCode} from database`);
+    return roomData;
+}
+
+// Get a room from memory, loading it from the database on first use.
+// Concurrent joins share one load so they end up in the same room object.
+function getOrLoadRoom(roomCode) {
+    if (rooms.has(roomCode)) return Promise.resolve(rooms.get(roomCode));
+
+    if (!roomLoads.has(roomCode)) {
+        roomLoads.set(roomCode, loadPersistedRoom(roomCode).finally(() => roomLoads.delete(roomCode)));
+    }
+    return roomLoads.get(roomCode);
+}
+
+// Decide whether a join may go ahead. An invite is single-use and lets its
+// holder skip the passphrase. Returns the room_error payload, or null if allowed.
+async function checkRoomAccess(roomCode, room, { passphrase, inviteToken }, userId) {
+    if (inviteToken) {
+        if (typeof inviteToken === 'string' && await db.consumeInvite(roomCode, inviteToken, userId)) {
+            return null;
+        }
+        return { code: 'invalid_invite', message: 'This invite link is invalid or has already been used' };
+    }
+
+    if (room.inviteOnly) {
+        return { code: 'invite_required', message: 'This room can only be joined with an invite link' };
+    }
+    if (!room.passphraseHash) {
+        return null;
+    }
+    if (!passphrase) {
+        return { code: 'passphrase_required', message: 'This room requires a passphrase' };
+    }
+    if (await accessService.verifyPassphrase(passphrase, room.passphraseHash)) {
+        return null;
+    }
+    return { code: 'invalid_passphrase', message: 'Incorrect passphrase' };
+}
+
+// Send everyone else's selections in an editor, e.g. after a (re)sync
+function emitCursors(socket, editorId, editorDoc) {
+    documentService.getCursors(editorDoc)
+        .filter(cursor => cursor.userId !== socket.data.userId)
+        .forEach(cursor => {
+            socket.emit("receive_cursor_position", { editorId, revision: editorDoc.revision, ...cursor });
+        });
+}
+
+// Forget a user's selections and tell the editor room to stop drawing them
+function clearCursor(roomCode, editorId, userId) {
+    const editorDoc = rooms.get(roomCode)?.editorDocs[editorId];
+    if (editorDoc) {
+        documentService.removeCursor(editorDoc, userId);
+    }
+    io.to(`${roomCode}-editor-${editorId}`).emit("cursor_cleared", { editorId, userId });
+}
+
+// Add a file to a room and tell everyone about it
+async function addEditorToRoom(roomCode, room, { name, language }) {
+    const newEditor = {
+        id: room.nextEditorId++,
+        name,
+        language
+    };
+
+    room.editors.push(newEditor);
+
+    // Initialize document state
+    room.editorDocs[newEditor.id] = {
+        content: '',
+        revision: 0,
+        history: []
+    };
+
+    try {
+        await db.addEditorDocument(roomCode, newEditor.id, newEditor.name, newEditor.language);
+    } catch (error) {
+        console.error('[add_editor] Database error:', error);
+    }
+    await persistRoom(roomCode, room);
+
+    console.log(`[${new Date().toISOString()}] Added editor:`, newEditor.id);
+    io.to(roomCode).emit("editor_added", newEditor);
+    webhookService.emit(roomCode, 'editor_added', newEditor);
+    return newEditor;
+}
+
+// Unpack uploaded files, telling the user if they can't be read
+function readUpload(socket, files) {
+    try {
+        return archiveService.prepareImport(files);
+    } catch (error) {
+        socket.emit("room_error", { code: 'invalid_upload', message: error.message });
+        return null;
+    }
+}
+
+// A file already at the path, or one that can't coexist with it because one
+// would have to be both a file and a folder
+function findPathConflict(room, filePath, exceptId = null) {
+    return room.editors.find(e => e.id !== exceptId && (
+        e.name === filePath ||
+        e.name.startsWith(`${filePath}/`) ||
+        filePath.startsWith(`${e.name}/`)
+    ));
+}
+
+// Whether a path built from a rename or move is still allowed; tells the
+// user if not
+function checkNewPath(socket, room, filePath, editorId) {
+    try {
+        validationService.validateFilePath(filePath);
+    } catch (error) {
+        socket.emit("room_error", { code: error.code, message: error.message });
+        return false;
+    }
+    if (findPathConflict(room, filePath, editorId)) {
+        socket.emit("room_error", { code: 'duplicate_path', message: `${filePath} already exists` });
+        return false;
+    }
+    return true;
+}
+
+// Change a file's path or language, save it and tell everyone
+async function updateEditorInRoom(roomCode, editor, changes) {
+    Object.assign(editor, changes);
+
+    try {
+        await db.updateEditorDocument(roomCode, editor.id, { name: editor.name, language: editor.language });
+    } catch (error) {
+        console.error('[update_editor] Database error:', error);
+    }
+
+    io.to(roomCode).emit("editor_updated", { id: editor.id, name: editor.name, language: editor.language });
+}
+
+// Apply an operation through the OT pipeline and broadcast it to the editor room.
+// author.userId is omitted for server-originated edits so no client takes
+// the broadcast as an acknowledgement of its own operation.
+async function applyAndBroadcastOperation(roomCode, editorId, operation, baseRevision, author) {
+    const room = rooms.get(roomCode);
+    const editorDoc = room.editorDocs[editorId];
+    const { transformedOp, newRevision, checksum } = await documentService.applyOperationToDoc(
+        roomCode,
+        editorId,
+        editorDoc,
+        operation,
+        baseRevision,
+        author
+    );
+
+    // Schedule database write
+    documentService.scheduleWrite(roomCode, editorId, editorDoc.content, newRevision);
+
+    // Broadcast to all clients in the editor room
+    const editorRoom = `${roomCode}-editor-${editorId}`;
+    io.to(editorRoom).emit("receive_operation", {
+        editorId,
+        operation: transformedOp,
+        revision: newRevision,
+        checksum,
+        authorId: author?.userId ?? null
+    });
+
+    const editor = room.editors.find(e => e.id === editorId);
+    webhookService.documentChanged(roomCode, editorId, { name: editor?.name, revision: newRevision, checksum }, author?.username);
+
+    return { transformedOp, newRevision, checksum };
+}
+
+// Every file of the room as Piston expects it, from the server's copy of
+// each document. Piston runs the first file, so the entry point leads.
+function buildExecutionFiles(room, entryId) {
+    const ordered = [
+        ...room.editors.filter(e => e.id === entryId),
+        ...room.editors.filter(e => e.id !== entryId)
+    ];
+    const seen = new Set();
+    const files = [];
+    for (const editor of ordered) {
+        if (seen.has(editor.name)) continue;
+        seen.add(editor.name);
+        files.push({ name: editor.name, content: room.editorDocs[editor.id]?.content ?? '' });
+    }
+    return files;
+}
+
+// Output of running programs is batched briefly, so a chatty program
+// doesn't turn into one socket event per write
+const OUTPUT_FLUSH_MS = 50;
+const outputStreams = new Map(); // executionId -> { seq, chunks, timer }
+
+// Send a running execution's buffered output to everyone viewing the file.
+// seq counts batches from 0, so clients can tell whether they saw them all.
+function flushExecutionOutput(job) {
+    const stream = outputStreams.get(job.executionId);
+    if (!stream || stream.chunks.length === 0) return;
+
+    clearTimeout(stream.timer);
+    stream.timer = null;
+    io.to(`${job.roomCode}-editor-${job.fileId}`).emit("execution_output", {
+        executionId: job.executionId,
+        fileId: job.fileId,
+        seq: stream.seq++,
+        chunks: stream.chunks,
+        user: { userId: job.userId }
+    });
+    stream.chunks = [];
+}
+
+// Buffer output in the order it was written; consecutive writes to the
+// same stream are merged
+function streamExecutionOutput(job, streamName, data) {
+    let stream = outputStreams.get(job.executionId);
+    if (!stream) {
+        stream = { seq: 0, chunks: [], timer: null };
+        outputStreams.set(job.executionId, stream);
+    }
+
+    const last = stream.chunks[stream.chunks.length - 1];
+    if (last?.stream === streamName) last.data += data;
+    else stream.chunks.push({ stream: streamName, data });
+
+    if (!stream.timer) {
+        stream.timer = setTimeout(() => flushExecutionOutput(job), OUTPUT_FLUSH_MS);
+    }
+}
+
+// What clients see of a queued or running execution
+function serializeExecution(job) {
+    return {
+        executionId: job.executionId,
+        fileId: job.fileId,
+        language: job.language,
+        status: job.status,
+        user: { userId: job.userId },
+        queuedAt: new Date(job.queuedAt).toISOString(),
+        startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null
+    };
+}
+
+// Broadcast an execution's status to its room; a finished one also
+// delivers its output to everyone viewing the file
+function reportExecution(job, outcome) {
+    // Streamed output goes out before the run is reported as over
+    if (job.status === 'finished' || job.status === 'cancelled') {
+        flushExecutionOutput(job);
+        outputStreams.delete(job.executionId);
+    }
+
+    io.to(job.roomCode).emit("execution_status", serializeExecution(job));
+    if (!outcome) return;
+
+    const editorRoom = `${job.roomCode}-editor-${job.fileId}`;
+    if (outcome.error) {
+        io.to(editorRoom).emit("execution_error", {
+            fileId: job.fileId,
+            executionId: job.executionId,
+            error: outcome.error.message,
+            user: { userId: job.userId },
+            timestamp: new Date().toISOString()
+        });
+        console.error(`[${new Date().toISOString()}] execution_error:`, outcome.error.message);
+        webhookService.emit(job.roomCode, 'execution_result', {
+            executionId: job.executionId,
+            fileId: job.fileId,
+            userId: job.userId,
+            language: job.language,
+            files: job.files,
+            error: outcome.error.message
+        });
+        return;
+    }
+
+    const { result } = outcome;
+    io.to(editorRoom).emit("execution_result", {
+        fileId: job.fileId,
+        executionId: job.executionId,
+        output: result.stdout,
+        stderr: result.stderr,
+        exitCode: result.exitCode,
+        executionTime: result.executionTime,
+        language: result.language,
+        truncated: result.truncated || false,
+        user: {
+            userId: job.userId
+        },
+        timestamp: new Date().toISOString()
+    });
+    console.log(`[${new Date().toISOString()}] execution_result sent to room ${editorRoom}`);
+    // The files that ran go along, so receivers can keep the code behind each result
+    webhookService.emit(job.roomCode, 'execution_result', {
+        executionId: job.executionId,
+        fileId: job.fileId,
+        userId: job.userId,
+        language: result.language,
+        files: job.files,
+        stdout: result.stdout,
+        stderr: result.stderr,
+        exitCode: result.exitCode,
+        executionTime: result.executionTime,
+        truncated: result.truncated || false
+    });
+}
+
 io.on("connection", (socket) => {
     console.log(`[${new Date().toISOString()}] User connected: ${socket.id}`);
     socket.emit("connected", socket.id);
 
-    socket.on("create_room", async ({ username, color }) => {
+    // Flooding events are limited per socket and per room before anything
+    // else runs. Dropped events are answered so the client can back off and retry.
+    socket.use((packet, next) => {
+        const [event, payload] = packet;
+        const retryAfter = rateLimitService.consume(event, {
+            socket: socket.id,
+            room: socketToRoom.get(socket.id)
+        });
+        if (retryAfter > 0) {
+            const editorId = Number.isInteger(payload) ? payload : payload?.editorId;
+            socket.emit("rate_limited", {
+                event,
+                retryAfter,
+                ...(Number.isInteger(editorId) && { editorId })
+            });
+            return;
+        }
+        next();
+    });
+
+    // Every incoming payload is checked against its event's schema before the
+    // handler runs. Handlers get the normalized payload; invalid ones are
+    // answered with a structured error and never reach room or document state.
+    socket.use((packet, next) => {
+        const [event, payload] = packet;
         try {
-            const roomCode = generateRoomCode();
-            const defaultEditors = [{ id: 1, name: 'main.js', language: 'javascript' }];
-
-            // Initialize editor documents with database persistence
-            const editorDocs = await documentService.initializeEditorDocs(roomCode, defaultEditors);
-
-            const roomData = {
-                editors: [...defaultEditors],
-                nextEditorId: 2,
-                users: new Map([[socket.id, { username, color }]]),
-                hostId: socket.id,
-                expiryTimer: null,
-                editorDocs: editorDocs // NEW: server-authoritative state
-            };
-
-            const room = rooms.set(roomCode, roomData).get(roomCode);
-            socketToRoom.set(socket.id, roomCode);
-            socket.join(roomCode);
+            packet[1] = validationService.validateEventPayload(event, payload);
+        } catch (error) {
+            console.warn(`[validation] Rejected ${event} from ${socket.id}: ${error.code} ${error.message}`);
+            socket.emit(validationService.getErrorEvent(event), {
+                event,
+                code: error.code,
+                field: error.field,
+                message: error.message,
+                ...(Number.isInteger(payload?.editorId) && { editorId: payload.editorId })
+            });
+            return;
+        }
+        next();
+    });
+
+    socket.on("create_room", async ({ username, color, passphrase, inviteOnly = false, files }) => {
+        // Uploaded files take the place of the default main.js
+        const upload = files ? readUpload(socket, files) : null;
+        if (files && !upload) return;
+        if (upload?.files.length === 0) {
+            socket.emit("room_error", { code: 'invalid_upload', message: 'The upload has no text files to edit' });
+            return;
+        }
+
+        try {
+            const editors = [];
+            const skipped = [...(upload?.skipped ?? [])];
+            for (const file of upload?.files ?? DEFAULT_FILES) {
+                if (findPathConflict({ editors }, file.name)) {
+                    skipped.push(file.name);
+                    continue;
+                }
+                editors.push({ id: editors.length + 1, ...file });
+            }
+            const userId = crypto.randomUUID();
+            const { roomCode, room } = await createRoom(editors, {
+                passphrase,
+                inviteOnly,
+                hostId: userId,
+                users: new Map([[userId, { username, color, socketId: socket.id, editors: new Set(), disconnectTimer: null }]]),
+                createdBy: username
+            });
+            bindSocketToUser(socket, roomCode, userId);
             socket.emit("room_created", {
                 roomCode,
                 editors: room.editors,
-                users: Array.from(room.users.entries()).map(([id, info]) => ({ socketId: id, ...info })),
-                isHost: true
+                entryFileId: room.entryFileId,
+                users: serializeUsers(room),
+                isHost: true,
+                userId,
+                sessionToken: sessionService.createSessionToken({ roomCode, userId, username, color })
             });
+            if (upload) {
+                socket.emit("files_imported", {
+                    added: room.editors.map(e => e.name),
+                    updated: [],
+                    skipped,
+                    importedBy: username
+                });
+            }
         } catch (error) {
             console.error('[create_room] Error:', error);
             socket.emit("room_error", { message: 'Failed to create room' });
         }
     });
 
-    socket.on("join_room", async ({ username, color, roomCode }) => {
+    socket.on("join_room", async ({ username, color, roomCode, passphrase, inviteToken }) => {
+        // Failed attempts are limited per socket and per address to stop code and passphrase guessing
+        const attemptKeys = [`socket:${socket.id}`, `ip:${socket.handshake.address}`];
+
         try {
-            if (!rooms.has(roomCode)) {
-                socket.emit("room_error", { message: 'Room not found' });
+            const retryAfter = accessService.getJoinRetryAfter(attemptKeys);
+            if (retryAfter > 0) {
+                socket.emit("room_error", {
+                    code: 'too_many_attempts',
+                    message: `Too many failed attempts, try again in ${Math.ceil(retryAfter / 60000)} min`,
+                    retryAfter
+                });
                 return;
             }
 
-            const room = rooms.get(roomCode);
+            // Rooms are loaded from the database if not in memory (server restart scenario)
+            const room = await getOrLoadRoom(roomCode);
+            if (!room) {
+                accessService.recordFailedJoin(attemptKeys);
+                socket.emit("room_error", { code: 'room_not_found', message: 'Room not found' });
+                return;
+            }
 
-            // Load editor documents if not in memory (server restart scenario)
-            if (!room.editorDocs) {
-                room.editorDocs = await documentService.loadEditorDocs(roomCode);
+            const userId = crypto.randomUUID();
+            const denied = await checkRoomAccess(roomCode, room, { passphrase, inviteToken }, userId);
+            if (denied) {
+                if (denied.code === 'invalid_passphrase' || denied.code === 'invalid_invite') {
+                    accessService.recordFailedJoin(attemptKeys);
+                }
+                socket.emit("room_error", denied);
+                return;
             }
 
-            room.users.set(socket.id, { username, color });
-            socketToRoom.set(socket.id, roomCode);
-            socket.join(roomCode);
+            await addUserToRoom(socket, roomCode, room, userId, { username, color });
 
             socket.emit("room_joined", {
                 roomCode,
                 editors: room.editors,
-                users: Array.from(room.users.entries()).map(([id, info]) => ({ socketId: id, ...info }))
+                entryFileId: room.entryFileId,
+                users: serializeUsers(room),
+                hostId: room.hostId,
+                isHost: room.hostId === userId,
+                userId,
+                sessionToken: sessionService.createSessionToken({ roomCode, userId, username, color })
             });
-            socket.to(roomCode).emit("user_joined", { socketId: socket.id, username, color });
+            socket.to(roomCode).emit("user_joined", { userId, username, color, role: getUserRole(room, userId) });
         } catch (error) {
             console.error('[join_room] Error:', error);
             socket.emit("room_error", { message: 'Failed to join room' });
@@ -110,34 +1158,156 @@ io.on("connection", (socket) => {
 
 
 
-    socket.on("kick_user", ({ targetSocketId }) => {
+    // Reattach a reconnecting client to its user, keeping name, color, roles
+    // and editor subscriptions. Runs synchronously while the room is in memory
+    // so it is handled before the client's next events.
+    socket.on("resume_session", async ({ token } = {}) => {
+        const session = sessionService.verifySessionToken(token);
+        let room = null;
+        try {
+            room = session && (rooms.get(session.roomCode) ?? await getOrLoadRoom(session.roomCode));
+        } catch (error) {
+            console.error('[resume_session] Error:', error);
+        }
+
+        if (!room || room.kickedUserIds.has(session.userId)) {
+            socket.emit("session_expired", { message: 'Your session is no longer valid' });
+            return;
+        }
+
+        const { roomCode, userId } = session;
+        const user = room.users.get(userId);
+
+        if (user) {
+            clearTimeout(user.disconnectTimer);
+            user.disconnectTimer = null;
+
+            const previousSocketId = user.socketId;
+            user.socketId = socket.id;
+            bindSocketToUser(socket, roomCode, userId);
+            user.editors.forEach(editorId => socket.join(`${roomCode}-editor-${editorId}`));
+
+            // Same session open on another socket: this one takes over
+            if (previousSocketId && previousSocketId !== socket.id) {
+                socketToRoom.delete(previousSocketId);
+                io.sockets.sockets.get(previousSocketId)?.disconnect(true);
+            }
+        } else {
+            // Grace period is over or the server restarted: rejoin under the same identity
+            try {
+                await addUserToRoom(socket, roomCode, room, userId, session);
+            } catch (error) {
+                console.error('[resume_session] Error:', error);
+                socket.emit("session_expired", { message: 'Failed to rejoin the room' });
+                return;
+            }
+            socket.to(roomCode).emit("user_joined", {
+                userId,
+                username: session.username,
+                color: session.color,
+                role: getUserRole(room, userId)
+            });
+        }
+
+        socket.emit("session_resumed", {
+            roomCode,
+            editors: room.editors,
+            entryFileId: room.entryFileId,
+            users: serializeUsers(room),
+            hostId: room.hostId,
+            isHost: room.hostId === userId,
+            userId
+        });
+        console.log(`[${new Date().toISOString()}] Session resumed for ${userId} in ${roomCode}`);
+    });
+
+    socket.on("kick_user", async ({ targetUserId }) => {
         const roomCode = socketToRoom.get(socket.id);
         const room = rooms.get(roomCode);
-        if(socket.id !== room.hostId){
+        if (!room) {
+            socket.emit("room_error", { message: 'You are not in a room' });
+            return;
+        }
+        if(socket.data.userId !== room.hostId){
             socket.emit("room_error", { message: 'Only the host can kick users' });
             return;
         }
 
-        io.to(targetSocketId).emit("kicked", { message: 'You were kicked from the room' });
-        io.sockets.sockets.get(targetSocketId)?.leave(roomCode);
-        room.users.delete(targetSocketId);
-        socketToRoom.delete(targetSocketId);
-        io.to(roomCode).emit("user_left", { socketId: targetSocketId });
+        const target = room.users.get(targetUserId);
+        if (!target) return;
+
+        clearTimeout(target.disconnectTimer);
+        if (target.socketId) {
+            io.to(target.socketId).emit("kicked", { message: 'You were kicked from the room' });
+            target.editors.forEach(editorId => clearCursor(roomCode, editorId, targetUserId));
+            const targetSocket = io.sockets.sockets.get(target.socketId);
+            targetSocket?.leave(roomCode);
+            target.editors.forEach(editorId => targetSocket?.leave(`${roomCode}-editor-${editorId}`));
+            socketToRoom.delete(target.socketId);
+        }
+
+        room.users.delete(targetUserId);
+        room.roles.delete(targetUserId);
+        room.kickedUserIds.add(targetUserId);
+        io.to(roomCode).emit("user_left", { userId: targetUserId });
+        webhookService.emit(roomCode, 'user_left', { userId: targetUserId, username: target.username, reason: 'kicked' });
+        // Saved so their session token stays refused after a restart
+        await persistRoom(roomCode, room);
     });
 
+    // Host-only: create a single-use invite link
+    socket.on("create_invite", async () => {
+        const roomCode = socketToRoom.get(socket.id);
+        const room = rooms.get(roomCode);
+        if (!room) return;
+        if(socket.data.userId !== room.hostId){
+            socket.emit("room_error", { message: 'Only the host can create invites' });
+            return;
+        }
+
+        const token = accessService.createInviteToken();
+        try {
+            await db.createInvite(roomCode, token, socket.data.userId);
+            socket.emit("invite_created", { roomCode, token });
+        } catch (error) {
+            console.error('[create_invite] Error:', error);
+            socket.emit("room_error", { message: 'Failed to create invite' });
+        }
+    });
 
-    socket.on("close_room", () => {
+    // Host-only: promote viewers to editors or demote editors to viewers
+    socket.on("set_user_role", async ({ targetUserId, role }) => {
         const roomCode = socketToRoom.get(socket.id);
         const room = rooms.get(roomCode);
-        if(socket.id !== room.hostId){
+        if (!room) return;
+        if(socket.data.userId !== room.hostId){
+            socket.emit("room_error", { message: 'Only the host can change roles' });
+            return;
+        }
+        if (!room.users.has(targetUserId) || targetUserId === room.hostId) {
+            socket.emit("room_error", { message: 'Invalid role change' });
+            return;
+        }
+
+        room.roles.set(targetUserId, role);
+        io.to(roomCode).emit("user_role_changed", { userId: targetUserId, role });
+        await persistRoom(roomCode, room);
+        console.log(`[${new Date().toISOString()}] ${targetUserId} is now ${role} in ${roomCode}`);
+    });
+
+    socket.on("close_room", async () => {
+        const roomCode = socketToRoom.get(socket.id);
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit("room_error", { message: 'You are not in a room' });
+            return;
+        }
+        if(socket.data.userId !== room.hostId){
             socket.emit("room_error", { message: 'Only the host can close the room' });
             return;
         }
 
-        io.to(roomCode).emit("room_closed", { message: 'Host closed the room' });
-        clearTimeout(room.expiryTimer);
-        room.users.forEach((_, socketId) => socketToRoom.delete(socketId));
-        rooms.delete(roomCode);
+        await closeRoom(roomCode, room, 'Host closed the room');
     });
 
     socket.on("add_editor", async (editor) => {
@@ -148,31 +1318,73 @@ io.on("connection", (socket) => {
         }
 
         const room = rooms.get(roomCode);
-        const newEditor = {
-            id: room.nextEditorId++,
-            name: editor.name,
-            language: editor.language
-        };
-
-        room.editors.push(newEditor);
+        if (!canEdit(room, socket.data.userId)) {
+            socket.emit("room_error", { message: 'Viewers cannot add files' });
+            return;
+        }
+        if (findPathConflict(room, editor.name)) {
+            socket.emit("room_error", { code: 'duplicate_path', message: `${editor.name} already exists` });
+            return;
+        }
+        await addEditorToRoom(roomCode, room, { name: editor.name, language: editor.language });
+    });
+    
+    // Files from an upload are added to the room, or replace the content of
+    // files already at their paths. Paths taken by a folder, or by a file
+    // where the upload has a folder, are skipped.
+    socket.on("import_files", async ({ files }) => {
+        const roomCode = socketToRoom.get(socket.id);
+        if (!roomCode) {
+            socket.emit("room_error", { message: 'You are not in a room' });
+            return;
+        }
 
-        // Initialize document state
-        room.editorDocs[newEditor.id] = {
-            content: '',
-            revision: 0,
-            history: []
-        };
+        const room = rooms.get(roomCode);
+        const user = room.users.get(socket.data.userId);
+        if (!canEdit(room, socket.data.userId)) {
+            socket.emit("room_error", { message: 'Viewers cannot import files' });
+            return;
+        }
+        const upload = readUpload(socket, files);
+        if (!upload) return;
 
+        const added = [];
+        const updated = [];
+        const skipped = [...upload.skipped];
         try {
-            await db.addEditorDocument(roomCode, newEditor.id);
+            const author = user ? { username: user.username, color: user.color } : undefined;
+            for (const file of upload.files) {
+                let editor = room.editors.find(e => e.name === file.name);
+                if (editor) {
+                    updated.push(file.name);
+                } else if (findPathConflict(room, file.name)) {
+                    skipped.push(file.name);
+                    continue;
+                } else {
+                    editor = await addEditorToRoom(roomCode, room, { name: file.name, language: file.language });
+                    added.push(file.name);
+                }
+
+                const editorDoc = room.editorDocs[editor.id];
+                if (editorDoc.content === file.content) continue;
+
+                await applyAndBroadcastOperation(
+                    roomCode,
+                    editor.id,
+                    createReplaceOperation(editorDoc.content, file.content),
+                    editorDoc.revision,
+                    author
+                );
+            }
+
+            io.to(roomCode).emit("files_imported", { added, updated, skipped, importedBy: user?.username });
+            console.log(`[${new Date().toISOString()}] Imported ${added.length + updated.length} files into ${roomCode}`);
         } catch (error) {
-            console.error('[add_editor] Database error:', error);
+            console.error('[import_files] Error:', error);
+            socket.emit("room_error", { message: 'Failed to import files' });
         }
-
-        console.log(`[${new Date().toISOString()}] Added editor:`, newEditor.id);
-        io.to(roomCode).emit("editor_added", newEditor);
     });
-    
+
     socket.on("remove_editor", async (editorId) => {
         const roomCode = socketToRoom.get(socket.id);
         if (!roomCode) {
@@ -181,10 +1393,14 @@ io.on("connection", (socket) => {
         }
 
         const room = rooms.get(roomCode);
+        if (!canEdit(room, socket.data.userId)) {
+            socket.emit("room_error", { message: 'Viewers cannot remove files' });
+            return;
+        }
         const index = room.editors.findIndex(e => e.id === editorId);
 
         if (index !== -1 && room.editors.length > 1) {
-            room.editors.splice(index, 1);
+            const [removed] = room.editors.splice(index, 1);
             delete room.editorDocs[editorId];
 
             try {
@@ -194,9 +1410,69 @@ io.on("connection", (socket) => {
             }
 
             io.to(roomCode).emit("editor_removed", editorId);
+            webhookService.emit(roomCode, 'editor_removed', { editorId, name: removed.name });
+
+            if (room.entryFileId === editorId) {
+                room.entryFileId = null;
+                await persistRoom(roomCode, room);
+                io.to(roomCode).emit("entry_point_changed", { editorId: null });
+            }
         }
     });
     
+    // Rename, move and language changes share their checks: the file must
+    // exist and the user must be allowed to edit
+    const getEditableEditor = (editorId, action) => {
+        const roomCode = socketToRoom.get(socket.id);
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit("room_error", { message: 'You are not in a room' });
+            return null;
+        }
+        if (!canEdit(room, socket.data.userId)) {
+            socket.emit("room_error", { message: `Viewers cannot ${action} files` });
+            return null;
+        }
+        const editor = room.editors.find(e => e.id === editorId);
+        if (!editor) {
+            socket.emit("room_error", { code: 'editor_not_found', message: 'Editor not found' });
+            return null;
+        }
+        return { roomCode, room, editor };
+    };
+
+    // Changes the file's own name; its folder stays the same
+    socket.on("rename_editor", async ({ editorId, name }) => {
+        const target = getEditableEditor(editorId, 'rename');
+        if (!target) return;
+
+        const { roomCode, room, editor } = target;
+        const folder = editor.name.includes('/') ? editor.name.slice(0, editor.name.lastIndexOf('/') + 1) : '';
+        const newPath = `${folder}${name}`;
+        if (!checkNewPath(socket, room, newPath, editor.id)) return;
+        await updateEditorInRoom(roomCode, editor, { name: newPath });
+    });
+
+    // Moves the file into a folder, '' being the top of the tree
+    socket.on("move_editor", async ({ editorId, folder }) => {
+        const target = getEditableEditor(editorId, 'move');
+        if (!target) return;
+
+        const { roomCode, room, editor } = target;
+        const fileName = editor.name.slice(editor.name.lastIndexOf('/') + 1);
+        const newPath = folder ? `${folder}/${fileName}` : fileName;
+        if (newPath === editor.name) return;
+        if (!checkNewPath(socket, room, newPath, editor.id)) return;
+        await updateEditorInRoom(roomCode, editor, { name: newPath });
+    });
+
+    socket.on("set_editor_language", async ({ editorId, language }) => {
+        const target = getEditableEditor(editorId, 'change the language of');
+        if (!target) return;
+
+        await updateEditorInRoom(target.roomCode, target.editor, { language });
+    });
+
     socket.on("join_editor", async (editorId) => {
         const roomCode = socketToRoom.get(socket.id);
         if (!roomCode) {
@@ -204,19 +1480,25 @@ io.on("connection", (socket) => {
             return;
         }
 
+        const roomData = rooms.get(roomCode);
+        const editorDoc = roomData?.editorDocs[editorId];
+        if (!editorDoc) {
+            socket.emit("room_error", { code: 'editor_not_found', message: 'Editor not found' });
+            return;
+        }
+
         const room = `${roomCode}-editor-${editorId}`;
         socket.join(room);
 
         // Send current document state to joining client
-        const roomData = rooms.get(roomCode);
-        if (roomData?.editorDocs[editorId]) {
-            const editorDoc = roomData.editorDocs[editorId];
-            socket.emit("editor_synced", {
-                editorId,
-                content: editorDoc.content,
-                revision: editorDoc.revision
-            });
-        }
+        roomData.users.get(socket.data.userId)?.editors.add(editorId);
+        socket.emit("editor_synced", {
+            editorId,
+            content: editorDoc.content,
+            revision: editorDoc.revision,
+            checksum: hashContent(editorDoc.content)
+        });
+        emitCursors(socket, editorId, editorDoc);
     });
     
     socket.on("leave_editor", (editorId) => {
@@ -228,50 +1510,36 @@ io.on("connection", (socket) => {
         const room = `${roomCode}-editor-${editorId}`;
 
         socket.leave(room);
+        rooms.get(roomCode)?.users.get(socket.data.userId)?.editors.delete(editorId);
+        clearCursor(roomCode, editorId, socket.data.userId);
     });
 
     socket.on("disconnect", () => {
         console.log(`[${new Date().toISOString()}] User disconnected: ${socket.id}`);
         const roomCode = socketToRoom.get(socket.id);
         if (!roomCode) {
-            return; // User was not in a room
+            return; // User was not in a room, or their session moved to another socket
         }
-        const room = rooms.get(roomCode);
-        if (!room) {
-            socketToRoom.delete(socket.id);
-            return; // Room not found (shouldn't happen)
-        }
-
-        room.users.delete(socket.id);
         socketToRoom.delete(socket.id);
 
-        if (socket.id === room.hostId) {
-            // Host left, transfer host role
-            const nextUser = room.users.keys().next().value;
-            if (nextUser) {
-                room.hostId = nextUser;
-                io.to(roomCode).emit("host_transferred", { newHostId: nextUser });
-            }
+        const room = rooms.get(roomCode);
+        const userId = socket.data.userId;
+        const user = room?.users.get(userId);
+        if (!user || user.socketId !== socket.id) {
+            return;
         }
 
-        if (room.users.size === 0) {
-            room.expiryTimer = setTimeout(async () => {
-                try {
-                    await db.cleanupRoom(roomCode);
-                    rooms.delete(roomCode);
-                    console.log(`[${new Date().toISOString()}] Room ${roomCode} expired and deleted`);
-                } catch (error) {
-                    console.error('[disconnect] Room cleanup error:', error);
-                }
-            }, 30 * 60 * 1000);
-        }
-        io.to(roomCode).emit("user_left", { socketId: socket.id });
+        // Keep the seat for a while so a reconnecting client can resume it,
+        // but stop showing a cursor nobody is moving
+        user.socketId = null;
+        user.editors.forEach(editorId => clearCursor(roomCode, editorId, userId));
+        user.disconnectTimer = setTimeout(() => {
+            removeDisconnectedUser(roomCode, userId).catch(error => {
+                console.error('[disconnect] Error:', error);
+            });
+        }, RECONNECT_GRACE_MS);
     })
     
-    // Track message count per socket
-    let sendCodeCount = 0;
-    let cursorPositionCount = 0;
-
     // NEW: Operation-based synchronization
     socket.on("send_operation", async (data) => {
         const { editorId, operation, baseRevision } = data;
@@ -281,32 +1549,36 @@ io.on("connection", (socket) => {
 
         const room = rooms.get(roomCode);
         if (!room || !room.editorDocs[editorId]) {
-            socket.emit("operation_error", { message: 'Editor not found' });
+            socket.emit("operation_error", { editorId, code: 'editor_not_found', message: 'Editor not found' });
+            return;
+        }
+        if (!canEdit(room, socket.data.userId)) {
+            socket.emit("operation_error", { editorId, message: 'Viewers cannot edit files' });
             return;
         }
 
         try {
-            const editorDoc = room.editorDocs[editorId];
-            const { transformedOp, newRevision } = documentService.applyOperationToDoc(
-                editorDoc,
+            const user = room.users.get(socket.data.userId);
+            const { newRevision } = await applyAndBroadcastOperation(
+                roomCode,
+                editorId,
                 operation,
-                baseRevision
+                baseRevision,
+                { userId: socket.data.userId, username: user.username, color: user.color }
             );
 
-            // Schedule database write
-            documentService.scheduleWrite(roomCode, editorId, editorDoc.content, newRevision);
-
-            // Broadcast to all clients in the editor room
-            const editorRoom = `${roomCode}-editor-${editorId}`;
-            io.to(editorRoom).emit("receive_operation", {
-                editorId,
-                operation: transformedOp,
-                revision: newRevision,
-                authorSocketId: socket.id
-            });
-
             console.log(`[${new Date().toISOString()}] Applied operation to ${roomCode}/${editorId} rev ${newRevision}`);
         } catch (error) {
+            if (error instanceof documentService.ResyncRequiredError) {
+                console.warn(`[send_operation] Resync required for ${roomCode}/${editorId}: ${error.message}`);
+                socket.emit("resync_required", { editorId, message: error.message });
+                return;
+            }
+            if (error instanceof validationService.ValidationError) {
+                console.warn(`[send_operation] Rejected operation for ${roomCode}/${editorId}: ${error.message}`);
+                socket.emit("operation_error", { editorId, code: error.code, message: error.message });
+                return;
+            }
             console.error('[send_operation] Error:', error);
             socket.emit("operation_error", { message: error.message });
         }
@@ -319,7 +1591,7 @@ io.on("connection", (socket) => {
 
         const room = rooms.get(roomCode);
         if (!room || !room.editorDocs[editorId]) {
-            socket.emit("sync_error", { message: 'Editor not found' });
+            socket.emit("sync_error", { editorId, code: 'editor_not_found', message: 'Editor not found' });
             return;
         }
 
@@ -327,8 +1599,165 @@ io.on("connection", (socket) => {
         socket.emit("editor_synced", {
             editorId,
             content: editorDoc.content,
-            revision: editorDoc.revision
+            revision: editorDoc.revision,
+            checksum: hashContent(editorDoc.content)
         });
+        emitCursors(socket, editorId, editorDoc);
+    });
+
+    // A client's model stopped matching the server copy. The client resyncs on
+    // its own; this only logs what it saw so OT bugs can be traced.
+    socket.on("report_divergence", ({ editorId, revision, expected, actual, trace }) => {
+        const roomCode = socketToRoom.get(socket.id);
+        if (!roomCode) return;
+
+        const editorDoc = rooms.get(roomCode)?.editorDocs[editorId];
+        console.error(
+            `[divergence] ${roomCode}/${editorId} user ${socket.data.userId} at revision ${revision} ` +
+            `(server at ${editorDoc?.revision}): expected ${expected}, got ${actual}`
+        );
+        console.error(`[divergence] Operation trace: ${JSON.stringify(trace)}`);
+    });
+
+    // Revision history: rebuild past revisions from the operation log
+    socket.on("get_revision", async ({ editorId, revision }) => {
+        const roomCode = socketToRoom.get(socket.id);
+        if (!roomCode) return;
+
+        const room = rooms.get(roomCode);
+        const editorDoc = room?.editorDocs[editorId];
+        if (!editorDoc) {
+            socket.emit("history_error", { editorId, code: 'editor_not_found', message: 'Editor not found' });
+            return;
+        }
+        if (revision > editorDoc.revision) {
+            socket.emit("history_error", { editorId, code: 'invalid_revision', message: `Revision ${revision} does not exist` });
+            return;
+        }
+
+        try {
+            const content = await documentService.getRevisionContent(roomCode, editorId, revision);
+            socket.emit("revision_content", { editorId, revision, content });
+        } catch (error) {
+            console.error('[get_revision] Error:', error);
+            socket.emit("history_error", { editorId, message: error.message });
+        }
+    });
+
+    socket.on("get_history_range", async ({ editorId, fromRevision = 0, toRevision }) => {
+        const roomCode = socketToRoom.get(socket.id);
+        if (!roomCode) return;
+
+        const room = rooms.get(roomCode);
+        const editorDoc = room?.editorDocs[editorId];
+        if (!editorDoc) {
+            socket.emit("history_error", { editorId, code: 'editor_not_found', message: 'Editor not found' });
+            return;
+        }
+
+        const to = toRevision ?? editorDoc.revision;
+        if (fromRevision > to || to > editorDoc.revision) {
+            socket.emit("history_error", { editorId, code: 'invalid_revision', message: 'Invalid revision range' });
+            return;
+        }
+
+        try {
+            const range = await documentService.getHistoryRange(roomCode, editorId, fromRevision, to);
+            socket.emit("history_range", { editorId, ...range });
+        } catch (error) {
+            console.error('[get_history_range] Error:', error);
+            socket.emit("history_error", { editorId, message: error.message });
+        }
+    });
+
+    // Snapshots: named checkpoints of every file in the room
+    socket.on("create_snapshot", async ({ name }) => {
+        const roomCode = socketToRoom.get(socket.id);
+        if (!roomCode) return;
+
+        const room = rooms.get(roomCode);
+        if (!canEdit(room, socket.data.userId)) {
+            socket.emit("snapshot_error", { message: 'Viewers cannot create snapshots' });
+            return;
+        }
+        const files = room.editors.map(editor => ({
+            editorId: editor.id,
+            name: editor.name,
+            language: editor.language,
+            content: room.editorDocs[editor.id]?.content ?? ''
+        }));
+
+        try {
+            const snapshot = await db.createSnapshot(roomCode, name, files, room.users.get(socket.data.userId)?.username);
+            io.to(roomCode).emit("snapshot_created", snapshot);
+            console.log(`[${new Date().toISOString()}] Created snapshot ${snapshot.id} in ${roomCode}`);
+        } catch (error) {
+            console.error('[create_snapshot] Error:', error);
+            socket.emit("snapshot_error", { message: 'Failed to create snapshot' });
+        }
+    });
+
+    socket.on("list_snapshots", async () => {
+        const roomCode = socketToRoom.get(socket.id);
+        if (!roomCode) return;
+
+        try {
+            socket.emit("snapshots_list", await db.listSnapshots(roomCode));
+        } catch (error) {
+            console.error('[list_snapshots] Error:', error);
+            socket.emit("snapshot_error", { message: 'Failed to load snapshots' });
+        }
+    });
+
+    // Restoring goes through OT, so concurrent edits are rebased instead of lost
+    // and connected clients converge without a reset. Files created after the
+    // snapshot are left alone; files deleted since are re-created.
+    socket.on("restore_snapshot", async ({ snapshotId }) => {
+        const roomCode = socketToRoom.get(socket.id);
+        if (!roomCode) return;
+
+        const room = rooms.get(roomCode);
+        const user = room.users.get(socket.data.userId);
+        if (!canEdit(room, socket.data.userId)) {
+            socket.emit("snapshot_error", { message: 'Viewers cannot restore snapshots' });
+            return;
+        }
+
+        try {
+            const snapshot = await db.getSnapshot(roomCode, snapshotId);
+            if (!snapshot) {
+                socket.emit("snapshot_error", { message: 'Snapshot not found' });
+                return;
+            }
+
+            const author = user ? { username: user.username, color: user.color } : undefined;
+            for (const file of snapshot.files) {
+                const editor = room.editors.find(e => e.id === file.editorId) ||
+                    room.editors.find(e => e.name === file.name) ||
+                    await addEditorToRoom(roomCode, room, { name: file.name, language: file.language });
+
+                const editorDoc = room.editorDocs[editor.id];
+                if (editorDoc.content === file.content) continue;
+
+                await applyAndBroadcastOperation(
+                    roomCode,
+                    editor.id,
+                    createReplaceOperation(editorDoc.content, file.content),
+                    editorDoc.revision,
+                    author
+                );
+            }
+
+            io.to(roomCode).emit("snapshot_restored", {
+                snapshotId: snapshot.id,
+                name: snapshot.name,
+                restoredBy: user?.username
+            });
+            console.log(`[${new Date().toISOString()}] Restored snapshot ${snapshot.id} in ${roomCode}`);
+        } catch (error) {
+            console.error('[restore_snapshot] Error:', error);
+            socket.emit("snapshot_error", { message: 'Failed to restore snapshot' });
+        }
     });
 
     socket.on("send_code", (data) => {
@@ -342,61 +1771,163 @@ io.on("connection", (socket) => {
         socket.to(editorRoom).emit("receive_code", data);
     })
     
-    socket.on("send_cursor_position", (cursorData) => {
-        cursorPositionCount++;
+    // Selections are offsets into the sender's revision. They are moved up
+    // to the current revision here and kept current as operations arrive.
+    socket.on("send_cursor_position", ({ editorId, revision, selections }) => {
         const roomCode = socketToRoom.get(socket.id);
-        if (!roomCode) return;
+        const editorDoc = rooms.get(roomCode)?.editorDocs[editorId];
+        if (!editorDoc) return;
+
+        const current = documentService.setCursor(editorDoc, socket.data.userId, selections, revision);
+        if (!current) return; // Too old to place; the client sends again on its next move
 
         // Broadcast only to users in the same editor room
-        const editorRoom = `${roomCode}-editor-${cursorData.editorId}`;
-        socket.to(editorRoom).emit("receive_cursor_position", {position: cursorData.position, socketId: socket.id});
+        const editorRoom = `${roomCode}-editor-${editorId}`;
+        socket.to(editorRoom).emit("receive_cursor_position", {
+            editorId,
+            revision: editorDoc.revision,
+            selections: current,
+            userId: socket.data.userId
+        });
     })
 
-    // Code execution
-    socket.on("execute_code", async (data) => {
-        const { fileId, code, language } = data;
+    // Code execution goes through a queue shared by the whole server;
+    // every status change is broadcast so the room sees the run queue.
+    // The run takes every file of the room from the server's copy; the
+    // room's entry point runs if it has one, otherwise the requested file.
+    socket.on("execute_code", ({ fileId }) => {
         const roomCode = socketToRoom.get(socket.id);
-        if (!roomCode) return;
-
-        const executionId = `${socket.id}-${Date.now()}`;
-        const editorRoom = `${roomCode}-editor-${fileId}`;
-
-        console.log(`[${new Date().toISOString()}] execute_code from ${socket.id}, language: ${language}`);
-
-        try {
-            const result = await executeCode(code, language);
+        const room = rooms.get(roomCode);
+        if (!room) return;
 
-            io.to(editorRoom).emit("execution_result", {
+        const executionId = crypto.randomUUID();
+        const fail = (error) => {
+            socket.emit("execution_error", {
                 fileId,
                 executionId,
-                output: result.stdout,
-                stderr: result.stderr,
-                exitCode: result.exitCode,
-                executionTime: result.executionTime,
-                language: result.language,
-                truncated: result.truncated || false,
-                user: {
-                    socketId: socket.id
-                },
+                error,
+                user: { userId: socket.data.userId },
                 timestamp: new Date().toISOString()
             });
+        };
 
-            console.log(`[${new Date().toISOString()}] execution_result sent to room ${editorRoom}`);
+        if (!canEdit(room, socket.data.userId)) {
+            fail('Viewers cannot run code');
+            return;
+        }
+
+        const file = room.editors.find(e => e.id === fileId);
+        if (!file) {
+            fail('File not found');
+            return;
+        }
+        const entry = room.editors.find(e => e.id === room.entryFileId) ?? file;
+        if (!room.editorDocs[entry.id]?.content.trim()) {
+            fail(`${entry.name} is empty`);
+            return;
+        }
+
+        const files = buildExecutionFiles(room, entry.id);
+        console.log(`[${new Date().toISOString()}] execute_code from ${socket.data.userId}, entry: ${entry.name}, files: ${files.length}`);
+
+        try {
+            executionQueueService.enqueue(
+                {
+                    executionId,
+                    roomCode,
+                    fileId,
+                    userId: socket.data.userId,
+                    files,
+                    language: entry.language,
+                    // stdin and args come from the file Run was pressed in,
+                    // the runtime version from the file that runs
+                    input: { ...file.runInput, version: entry.runInput?.version }
+                },
+                reportExecution,
+                streamExecutionOutput
+            );
         } catch (error) {
-            io.to(editorRoom).emit("execution_error", {
-                fileId,
-                executionId,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+            fail(error.message);
+        }
+    });
+
+    // The file every run in the room starts from; null runs whichever
+    // file Run was pressed in
+    socket.on("set_entry_point", async ({ editorId }) => {
+        const roomCode = socketToRoom.get(socket.id);
+        const room = rooms.get(roomCode);
+        if (!room) return;
+
+        if (!canEdit(room, socket.data.userId)) {
+            socket.emit("room_error", { message: 'Viewers cannot change the entry point' });
+            return;
+        }
+        if (editorId !== null && !room.editors.some(e => e.id === editorId)) {
+            socket.emit("room_error", { code: 'editor_not_found', message: 'Editor not found' });
+            return;
+        }
+
+        room.entryFileId = editorId;
+        await persistRoom(roomCode, room);
+        io.to(roomCode).emit("entry_point_changed", { editorId });
+    });
 
-            console.error(`[${new Date().toISOString()}] execution_error:`, error.message);
+    // stdin, argv and timeouts are kept per file and shared with the room,
+    // so everyone runs the file against the same input
+    socket.on("set_run_input", async ({ editorId, runInput }) => {
+        const roomCode = socketToRoom.get(socket.id);
+        const room = rooms.get(roomCode);
+        if (!room) return;
+
+        const editor = room.editors.find(e => e.id === editorId);
+        if (!editor) {
+            socket.emit("room_error", { code: 'editor_not_found', message: 'Editor not found' });
+            return;
+        }
+        if (!canEdit(room, socket.data.userId)) {
+            socket.emit("room_error", { message: 'Viewers cannot change run input' });
+            return;
+        }
+
+        editor.runInput = runInput;
+        socket.to(roomCode).emit("run_input_updated", { editorId, runInput });
+
+        try {
+            await db.saveRunInput(roomCode, editorId, runInput);
+        } catch (error) {
+            console.error('[set_run_input] Database error:', error);
         }
     });
 
+    // Whoever started a run can cancel it, and the host can cancel any
+    socket.on("cancel_execution", ({ executionId }) => {
+        const roomCode = socketToRoom.get(socket.id);
+        const room = rooms.get(roomCode);
+        const job = executionQueueService.getJob(executionId);
+        if (!room || !job || job.roomCode !== roomCode) return;
+
+        if (job.userId !== socket.data.userId && socket.data.userId !== room.hostId) {
+            socket.emit("room_error", { code: 'forbidden', message: 'Only the host can cancel runs started by others' });
+            return;
+        }
+
+        executionQueueService.cancel(executionId);
+        console.log(`[${new Date().toISOString()}] Cancelled execution ${executionId} in ${roomCode}`);
+    });
+
+    // Current run queue, for clients that joined while runs were waiting
+    socket.on("get_execution_queue", () => {
+        const roomCode = socketToRoom.get(socket.id);
+        if (!roomCode) return;
+
+        executionQueueService.getRoomJobs(roomCode).forEach(job => {
+            socket.emit("execution_status", serializeExecution(job));
+        });
+    });
+
     // Get supported languages
     socket.on("get_supported_languages", () => {
-        socket.emit("supported_languages", getSupportedLanguages());
+        socket.emit("supported_languages", runtimeService.getSupportedLanguages());
     });
 })
 
@@ -405,6 +1936,12 @@ server.listen(3000, () => {
     console.log(`Server is running on port ${port}`);
 });
 
+// Runtimes installed in Piston decide which languages can run; tell every
+// client when that changes
+runtimeService.startRuntimeDiscovery(() => {
+    io.emit("supported_languages", runtimeService.getSupportedLanguages());
+});
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('[Server] SIGTERM received, flushing writes...');
@@ -0,0 +1,55 @@
+const { applyOperation, compose, invert, createReplaceOperation, getBaseLength } = require('../operations');
+const { createRandom, randomOperation } = require('./randomOperations');
+
+describe('compose', () => {
+  test('does in one operation what the two do one after the other', () => {
+    const random = createRandom(11);
+    for (let run = 0; run < 500; run++) {
+      const doc = 'abcdefghij'.slice(0, Math.floor(random() * 11));
+      const a = randomOperation(random, doc.length);
+      const afterA = applyOperation(doc, a);
+      const b = randomOperation(random, afterA.length);
+
+      expect(applyOperation(doc, compose(a, b))).toBe(applyOperation(afterA, b));
+    }
+  });
+
+  test('cancels text that is inserted and then deleted', () => {
+    const a = [{ type: 'retain', count: 1 }, { type: 'insert', text: 'XY' }, { type: 'retain', count: 1 }];
+    const b = [{ type: 'retain', count: 1 }, { type: 'delete', count: 2 }, { type: 'retain', count: 1 }];
+
+    expect(compose(a, b)).toEqual([{ type: 'retain', count: 2 }]);
+  });
+});
+
+describe('invert', () => {
+  test('undoes an operation on the document it was applied to', () => {
+    const random = createRandom(23);
+    for (let run = 0; run < 500; run++) {
+      const doc = 'abcdefghij'.slice(0, Math.floor(random() * 11));
+      const op = randomOperation(random, doc.length);
+      const inverse = invert(op, doc);
+
+      expect(applyOperation(applyOperation(doc, op), inverse)).toBe(doc);
+      // Inverting the inverse gives back an operation with the same effect
+      expect(applyOperation(doc, invert(inverse, applyOperation(doc, op)))).toBe(applyOperation(doc, op));
+    }
+  });
+
+  test('composes with the operation into one that changes nothing', () => {
+    const doc = 'hello world';
+    const op = createReplaceOperation(doc, 'hello there');
+
+    expect(applyOperation(doc, compose(op, invert(op, doc)))).toBe(doc);
+  });
+});
+
+describe('createReplaceOperation', () => {
+  test('turns one text into the other and fits the old one', () => {
+    for (const [from, to] of [['', 'abc'], ['abc', ''], ['abcdef', 'abXdef'], ['same', 'same']]) {
+      const op = createReplaceOperation(from, to);
+      expect(applyOperation(from, op)).toBe(to);
+      expect(getBaseLength(op)).toBeLessThanOrEqual(from.length);
+    }
+  });
+});
@@ -0,0 +1,37 @@
+// Fixtures for the randomized OT tests, shared so they all draw the same kind of operations
+
+// Deterministic random numbers, so a failing case can be replayed
+function createRandom(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), seed | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// An operation covering the whole of a document of the given length
+function randomOperation(random, length) {
+  const ops = [];
+  let position = 0;
+  while (position < length) {
+    const count = 1 + Math.floor(random() * Math.min(4, length - position));
+    const choice = random();
+    if (choice < 0.4) {
+      ops.push({ type: 'retain', count });
+      position += count;
+    } else if (choice < 0.7) {
+      ops.push({ type: 'delete', count });
+      position += count;
+    } else {
+      ops.push({ type: 'insert', text: 'xyz'.slice(0, count) });
+    }
+  }
+  if (random() < 0.5) ops.push({ type: 'insert', text: 'end' });
+  return ops;
+}
+
+module.exports = {
+  createRandom,
+  randomOperation
+};
@@ -0,0 +1,79 @@
+const { transform, transformIndex } = require('../transform');
+const { applyOperation } = require('../operations');
+const { createRandom, randomOperation } = require('./randomOperations');
+
+describe('transform', () => {
+  test('converges for concurrent operations (TP1)', () => {
+    const random = createRandom(42);
+    for (let run = 0; run < 500; run++) {
+      const doc = 'abcdefghij'.slice(0, Math.floor(random() * 11));
+      const a = randomOperation(random, doc.length);
+      const b = randomOperation(random, doc.length);
+
+      const aThenB = applyOperation(applyOperation(doc, a), transform(b, a, 'left'));
+      const bThenA = applyOperation(applyOperation(doc, b), transform(a, b, 'right'));
+      expect(aThenB).toBe(bThenA);
+    }
+  });
+
+  test('puts the left side second when both insert at the same place', () => {
+    const a = [{ type: 'retain', count: 1 }, { type: 'insert', text: 'A' }, { type: 'retain', count: 1 }];
+    const b = [{ type: 'retain', count: 1 }, { type: 'insert', text: 'B' }, { type: 'retain', count: 1 }];
+
+    expect(applyOperation(applyOperation('12', a), transform(b, a, 'left'))).toBe('1AB2');
+    expect(applyOperation(applyOperation('12', a), transform(b, a, 'right'))).toBe('1BA2');
+  });
+
+  test('drops text both operations deleted', () => {
+    const a = [{ type: 'retain', count: 1 }, { type: 'delete', count: 3 }];
+    const b = [{ type: 'retain', count: 2 }, { type: 'delete', count: 2 }];
+
+    expect(applyOperation(applyOperation('abcd', a), transform(b, a, 'left'))).toBe('a');
+  });
+});
+
+describe('transformIndex', () => {
+  const op = [
+    { type: 'retain', count: 2 },
+    { type: 'insert', text: 'XY' },
+    { type: 'delete', count: 2 },
+    { type: 'retain', count: 2 }
+  ]; // "abcdef" -> "abXYef"
+
+  test('moves indexes after an insert by its length', () => {
+    expect(transformIndex(0, op)).toBe(0);
+    expect(transformIndex(6, op)).toBe(6);
+  });
+
+  test('keeps an index at an insert in front of it unless asked to move past', () => {
+    expect(transformIndex(2, op, 'before')).toBe(2);
+    expect(transformIndex(2, op, 'after')).toBe(4);
+  });
+
+  test('moves an index inside deleted text to where the deletion was', () => {
+    expect(transformIndex(3, op)).toBe(4);
+    expect(transformIndex(4, op)).toBe(4);
+    expect(transformIndex(5, op)).toBe(5);
+  });
+
+  test('follows a kept character when text inserted at it goes in front', () => {
+    const random = createRandom(7);
+    for (let run = 0; run < 200; run++) {
+      const doc = 'abcdefghij';
+      const operation = randomOperation(random, doc.length);
+      const result = applyOperation(doc, operation);
+
+      // Only the characters the operation kept can be followed
+      let position = 0;
+      for (const component of operation) {
+        if (component.type === 'retain') {
+          for (let offset = 0; offset < component.count; offset++) {
+            const index = position + offset;
+            expect(result[transformIndex(index, operation, 'after')]).toBe(doc[index]);
+          }
+        }
+        if (component.type !== 'insert') position += component.count;
+      }
+    }
+  });
+});
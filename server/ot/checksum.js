@@ -0,0 +1,19 @@
+/**
+ * Cheap content hash used to detect clients drifting from the server copy.
+ * 32-bit FNV-1a over UTF-16 code units, so it matches what the browser
+ * computes from the Monaco model without any encoding step.
+ *
+ * Mirrors client_/src/utils/checksum.ts - keep the two in sync.
+ * @param {string} content
+ * @returns {string} 8 hex digits
+ */
+function hashContent(content) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < content.length; i++) {
+    hash ^= content.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+module.exports = { hashContent };
@@ -15,6 +15,8 @@
  * @typedef {RetainOp|InsertOp|DeleteOp} Operation
  */
 
+const { compactOps } = require('./transform');
+
 /**
  * Apply an operation to a string
  * @param {string} str - The input string
@@ -59,22 +61,159 @@ function getOpLength(ops) {
 }
 
 /**
- * Validate an operation array
+ * Get the number of characters an operation consumes from its input.
+ * Anything past that is retained implicitly, so this is the minimum
+ * document length the operation can be applied to.
  * @param {Operation[]} ops
- * @param {number} docLength - Expected document length
- * @returns {boolean}
+ * @returns {number}
  */
-function validateOperation(ops, docLength) {
+function getBaseLength(ops) {
   let length = 0;
   for (const op of ops) {
-    if (op.type === 'retain') length += op.count;
-    else if (op.type === 'delete') length += op.count;
+    if (op.type === 'retain' || op.type === 'delete') length += op.count;
   }
-  return length === docLength;
+  return length;
+}
+
+/**
+ * Build an operation that turns one string into another.
+ * Only the span between the common prefix and suffix is replaced,
+ * so the result rebases cleanly against unrelated concurrent edits.
+ * @param {string} oldStr
+ * @param {string} newStr
+ * @returns {Operation[]}
+ */
+function createReplaceOperation(oldStr, newStr) {
+  let prefix = 0;
+  const maxPrefix = Math.min(oldStr.length, newStr.length);
+  while (prefix < maxPrefix && oldStr[prefix] === newStr[prefix]) prefix++;
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (
+    suffix < maxSuffix &&
+    oldStr[oldStr.length - 1 - suffix] === newStr[newStr.length - 1 - suffix]
+  ) suffix++;
+
+  const ops = [];
+  if (prefix > 0) ops.push({ type: 'retain', count: prefix });
+
+  const deleteCount = oldStr.length - prefix - suffix;
+  if (deleteCount > 0) ops.push({ type: 'delete', count: deleteCount });
+
+  const insertText = newStr.slice(prefix, newStr.length - suffix);
+  if (insertText) ops.push({ type: 'insert', text: insertText });
+
+  return ops;
+}
+
+/**
+ * Build the operation that undoes ops
+ * @param {Operation[]} ops
+ * @param {string} str - The document ops was applied to, for the text it deleted
+ * @returns {Operation[]} Operation that turns the result of ops back into str
+ */
+function invert(ops, str) {
+  const result = [];
+  let cursor = 0;
+
+  for (const op of ops) {
+    if (op.type === 'retain') {
+      result.push({ type: 'retain', count: op.count });
+      cursor += op.count;
+    } else if (op.type === 'insert') {
+      result.push({ type: 'delete', count: op.text.length });
+    } else if (op.type === 'delete') {
+      result.push({ type: 'insert', text: str.slice(cursor, cursor + op.count) });
+      cursor += op.count;
+    }
+  }
+
+  // The rest of the document is retained implicitly
+  const compacted = compactOps(result);
+  if (compacted[compacted.length - 1]?.type === 'retain') compacted.pop();
+  return compacted;
+}
+
+/**
+ * Compose two consecutive operations into one
+ * Applying the result is equivalent to applying a and then b
+ * @param {Operation[]} a
+ * @param {Operation[]} b - Operation on the result of a
+ * @returns {Operation[]}
+ */
+function compose(a, b) {
+  const ops1 = [...a];
+  const ops2 = [...b];
+  const result = [];
+  let i = 0, j = 0;
+
+  while (i < ops1.length || j < ops2.length) {
+    const o1 = ops1[i];
+    const o2 = ops2[j];
+
+    // Deletes from a never reach b
+    if (o1?.type === 'delete') {
+      result.push(o1);
+      i++;
+      continue;
+    }
+
+    // Inserts from b consume nothing of a's output
+    if (o2?.type === 'insert') {
+      result.push(o2);
+      j++;
+      continue;
+    }
+
+    // b finished - the rest of a passes through
+    if (!o2) {
+      result.push(o1);
+      i++;
+      continue;
+    }
+
+    // a finished - b works on the untouched tail of the document
+    if (!o1) {
+      result.push(o2);
+      j++;
+      continue;
+    }
+
+    // o1 is a retain or insert, o2 is a retain or delete
+    const o1Length = o1.type === 'insert' ? o1.text.length : o1.count;
+    const length = Math.min(o1Length, o2.count);
+
+    if (o1.type === 'retain') {
+      result.push({ type: o2.type, count: length });
+    } else if (o2.type === 'retain') {
+      result.push({ type: 'insert', text: o1.text.slice(0, length) });
+    }
+    // Insert followed by delete of the same text cancels out
+
+    if (length === o1Length) {
+      i++;
+    } else {
+      ops1[i] = o1.type === 'insert'
+        ? { type: 'insert', text: o1.text.slice(length) }
+        : { type: 'retain', count: o1.count - length };
+    }
+
+    if (length === o2.count) {
+      j++;
+    } else {
+      ops2[j] = { type: o2.type, count: o2.count - length };
+    }
+  }
+
+  return compactOps(result);
 }
 
 module.exports = {
   applyOperation,
   getOpLength,
-  validateOperation
+  getBaseLength,
+  createReplaceOperation,
+  invert,
+  compose
 };
@@ -27,9 +27,14 @@ function transform(op1, op2, side = 'left') {
       continue;
     }
 
-    // op2 finished, just copy op1
+    // op2 finished, copy what is left of op1
     if (!o2) {
-      result.push(o1);
+      if (op1Cursor > 0 && o1.type !== 'insert') {
+        result.push({ type: o1.type, count: o1.count - op1Cursor });
+        op1Cursor = 0;
+      } else {
+        result.push(o1);
+      }
       i++;
       continue;
     }
@@ -111,6 +116,41 @@ function transform(op1, op2, side = 'left') {
   return compactOps(result);
 }
 
+/**
+ * Transform a document index (a cursor or selection offset) against an operation,
+ * so it points at the same character after the operation is applied
+ *
+ * @param {number} index - Offset in the document before the operation
+ * @param {Operation[]} ops - Operation being applied
+ * @param {string} side - 'before' keeps the index in front of text inserted exactly
+ *   at it, 'after' moves it past that text (e.g. for the cursor of the user who typed it)
+ * @returns {number} Offset in the document after the operation
+ */
+function transformIndex(index, ops, side = 'before') {
+  let cursor = 0;
+  let newIndex = index;
+
+  for (const op of ops) {
+    if (cursor > index) break;
+
+    if (op.type === 'retain') {
+      cursor += op.count;
+    } else if (op.type === 'insert') {
+      if (cursor < index || side === 'after') {
+        newIndex += op.text.length;
+      }
+    } else if (op.type === 'delete') {
+      // Only the deleted characters in front of the index shift it
+      if (cursor < index) {
+        newIndex -= Math.min(op.count, index - cursor);
+      }
+      cursor += op.count;
+    }
+  }
+
+  return newIndex;
+}
+
 /**
  * Compact consecutive operations of the same type
  * @param {Operation[]} ops
@@ -141,4 +181,4 @@ function compactOps(ops) {
   return result;
 }
 
-module.exports = { transform };
+module.exports = { transform, transformIndex, compactOps };
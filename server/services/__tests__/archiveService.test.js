@@ -0,0 +1,132 @@
+const archiveService = require('../archiveService');
+
+const zip = (files) => Buffer.concat([...archiveService.createZip(files)]);
+const upload = (name, content) => ({ name, data: Buffer.from(content) });
+
+// Offset of the central directory, from the end of central directory record
+const centralDirectoryOffset = (buffer) => buffer.readUInt32LE(buffer.length - 22 + 16);
+
+describe('createZip and readZip', () => {
+  test('round-trip names, folders and contents', () => {
+    const files = [
+      { name: 'main.js', content: 'console.log("hi")\n' },
+      { name: 'src/utils/ünïcode.py', content: 'print("héllo wörld")\n' },
+      { name: 'empty.txt', content: '' },
+      { name: 'big.md', content: '# Title\n'.repeat(20000) }
+    ];
+
+    const unpacked = archiveService.readZip(zip(files));
+    expect(unpacked.map(file => ({ name: file.name, content: file.data.toString('utf8') }))).toEqual(files);
+  });
+
+  test('reads an archive without files', () => {
+    expect(archiveService.readZip(zip([]))).toEqual([]);
+  });
+
+  test('refuses archives that unpack to more than the import limit', () => {
+    const megabyte = 'a'.repeat(1024 * 1024);
+    const files = Array.from({ length: 6 }, (_, i) => ({ name: `part${i}.txt`, content: megabyte }));
+
+    expect(() => archiveService.readZip(zip(files))).toThrow(/at most 5 MB/);
+  });
+
+  test('refuses archives with far too many entries', () => {
+    const files = Array.from({ length: 1001 }, (_, i) => ({ name: `f${i}.txt`, content: '' }));
+
+    expect(() => archiveService.readZip(zip(files))).toThrow(/at most 100 files/);
+  });
+
+  test('refuses data that is not a zip archive', () => {
+    expect(() => archiveService.readZip(Buffer.from('just some text, no archive here'))).toThrow('Not a zip archive');
+  });
+
+  test('refuses an archive whose central directory is damaged', () => {
+    const buffer = zip([{ name: 'a.js', content: 'a' }]);
+    buffer.writeUInt32LE(0, centralDirectoryOffset(buffer));
+
+    expect(() => archiveService.readZip(buffer)).toThrow('Corrupt zip archive');
+  });
+
+  test('refuses an archive whose entries point past its end', () => {
+    const buffer = zip([{ name: 'a.js', content: 'a' }]);
+    buffer.writeUInt32LE(buffer.length + 100, centralDirectoryOffset(buffer) + 42);
+
+    expect(() => archiveService.readZip(buffer)).toThrow('Corrupt zip archive');
+  });
+
+  test('stops inflating at the size an entry declares', () => {
+    const buffer = zip([{ name: 'a.txt', content: 'a'.repeat(10000) }]);
+    buffer.writeUInt32LE(10, centralDirectoryOffset(buffer) + 24);
+
+    expect(() => archiveService.readZip(buffer)).toThrow();
+  });
+});
+
+describe('prepareImport', () => {
+  test('unpacks zips, drops a shared root folder and skips what cannot be edited', () => {
+    const archive = zip([
+      { name: 'project/src/app.ts', content: 'export {}\n' },
+      { name: 'project/README.md', content: '# Readme\n' },
+      { name: 'project/node_modules/dep/index.js', content: 'ignored' },
+      { name: 'project/__MACOSX/._app.ts', content: 'ignored' }
+    ]);
+
+    const { files, skipped } = archiveService.prepareImport([
+      { name: 'project.zip', data: archive }
+    ]);
+    expect(files).toEqual([
+      { name: 'src/app.ts', content: 'export {}\n', language: 'typescript' },
+      { name: 'README.md', content: '# Readme\n', language: 'markdown' }
+    ]);
+    expect(skipped).toEqual([]);
+  });
+
+  test('skips binary files, invalid paths and duplicates', () => {
+    const { files, skipped } = archiveService.prepareImport([
+      upload('main.py', 'print(1)\n'),
+      { name: 'logo.png', data: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]) },
+      upload('../escape.js', 'bad'),
+      upload('main.py', 'print(2)\n')
+    ]);
+
+    expect(files).toEqual([{ name: 'main.py', content: 'print(1)\n', language: 'python' }]);
+    expect(skipped).toEqual(['logo.png', '../escape.js', 'main.py']);
+  });
+
+  test('stores paths trimmed and skips their padded twins', () => {
+    const { files, skipped } = archiveService.prepareFiles([
+      upload(' a.js', 'a'),
+      upload('a.js ', 'b'),
+      upload('src/b.js/', 'c')
+    ], { stripSharedRoot: false });
+
+    expect(files).toEqual([
+      { name: 'a.js', content: 'a', language: 'javascript' },
+      { name: 'src/b.js', content: 'c', language: 'javascript' }
+    ]);
+    expect(skipped).toEqual(['a.js ']);
+  });
+
+  test('turns CRLF and CR line endings into LF', () => {
+    const { files } = archiveService.prepareImport([
+      upload('windows.txt', 'one\r\ntwo\r\n'),
+      upload('mixed.txt', 'one\ntwo\r\nthree\rfour')
+    ]);
+
+    expect(files.map(file => file.content)).toEqual(['one\ntwo\n', 'one\ntwo\nthree\nfour']);
+  });
+
+  test('refuses more files than an import can have', () => {
+    const uploads = Array.from({ length: 101 }, (_, i) => upload(`f${i}.txt`, 'x'));
+
+    expect(() => archiveService.prepareImport(uploads)).toThrow(/at most 100 files/);
+  });
+
+  test('keeps shared folders when asked to', () => {
+    const { files } = archiveService.prepareFiles([upload('src/a.js', 'a'), upload('src/b.js', 'b')], {
+      stripSharedRoot: false
+    });
+
+    expect(files.map(file => file.name)).toEqual(['src/a.js', 'src/b.js']);
+  });
+});
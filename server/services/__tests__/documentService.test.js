@@ -0,0 +1,122 @@
+jest.mock('../../database', () => ({
+  initializeRoomEditors: jest.fn(),
+  loadBaseContent: jest.fn(),
+  appendOperation: jest.fn(),
+  loadOperationsSince: jest.fn(),
+  loadOperationsRange: jest.fn()
+}));
+
+const db = require('../../database');
+const archiveService = require('../archiveService');
+const documentService = require('../documentService');
+const { createReplaceOperation } = require('../../ot/operations');
+
+const insert = (at, text, length) => [
+  ...(at > 0 ? [{ type: 'retain', count: at }] : []),
+  { type: 'insert', text },
+  ...(length > at ? [{ type: 'retain', count: length - at }] : [])
+];
+
+describe('applyOperationToDoc', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('logs the operation under its new revision', async () => {
+    const editorDoc = { content: 'abc', revision: 0, history: [] };
+    const result = await documentService.applyOperationToDoc('ROOM01', 1, editorDoc, insert(3, 'd', 3), 0);
+
+    expect(result.newRevision).toBe(1);
+    expect(editorDoc.content).toBe('abcd');
+    expect(db.appendOperation).toHaveBeenCalledWith('ROOM01', 1, 1, insert(3, 'd', 3), undefined);
+  });
+
+  test('rejects an operation that cannot be logged and leaves the document as it was', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.appendOperation.mockRejectedValueOnce(new Error('connection lost'));
+    const editorDoc = { content: 'abc', revision: 4, history: [] };
+
+    await expect(
+      documentService.applyOperationToDoc('ROOM01', 1, editorDoc, insert(0, 'x', 3), 4)
+    ).rejects.toBeInstanceOf(documentService.ResyncRequiredError);
+    expect(editorDoc).toEqual({ content: 'abc', revision: 4, history: [] });
+
+    // The next operation takes the revision the failed one would have had
+    await documentService.applyOperationToDoc('ROOM01', 1, editorDoc, insert(0, 'y', 3), 4);
+    expect(editorDoc.revision).toBe(5);
+    expect(db.appendOperation).toHaveBeenLastCalledWith('ROOM01', 1, 5, insert(0, 'y', 3), undefined);
+  });
+});
+
+describe('history of a room started from an upload', () => {
+  // editor_documents and editor_operations, kept in memory
+  let documents;
+  let operations;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    documents = new Map();
+    operations = [];
+    db.initializeRoomEditors.mockImplementation(async (roomCode, editors) => {
+      editors.forEach(editor => documents.set(`${roomCode}/${editor.id}`, editor.content ?? ''));
+    });
+    db.loadBaseContent.mockImplementation(async (roomCode, editorId) => documents.get(`${roomCode}/${editorId}`) ?? '');
+    db.appendOperation.mockImplementation(async (roomCode, editorId, revision, operation, author) => {
+      operations.push({ roomCode, editorId, revision, operation, author_name: author?.username ?? null });
+    });
+    db.loadOperationsRange.mockImplementation(async (roomCode, editorId, from, to) => operations.filter(row =>
+      row.roomCode === roomCode && row.editorId === editorId && row.revision > from && row.revision <= to
+    ));
+  });
+
+  test('starts from the uploaded content and replays edits on top of it', async () => {
+    const uploaded = 'def greet():\n    return "hi"\n';
+    const archive = Buffer.concat([...archiveService.createZip([{ name: 'app/greet.py', content: uploaded }])]);
+    const { files } = archiveService.prepareImport([{ name: 'app.zip', data: archive }]);
+    const editors = files.map((file, index) => ({ id: index + 1, ...file }));
+
+    const editorDocs = await documentService.initializeEditorDocs('ROOM02', editors);
+    const editorDoc = editorDocs[1];
+    expect(editorDoc).toMatchObject({ content: uploaded, revision: 0 });
+
+    const edits = [
+      uploaded.replace('hi', 'hello'),
+      uploaded.replace('hi', 'hello there'),
+      '# greeting\n' + uploaded.replace('hi', 'hello there')
+    ];
+    for (const edit of edits) {
+      await documentService.applyOperationToDoc(
+        'ROOM02', 1, editorDoc, createReplaceOperation(editorDoc.content, edit), editorDoc.revision, { username: 'ada' }
+      );
+    }
+
+    expect(await documentService.getRevisionContent('ROOM02', 1, 0)).toBe(uploaded);
+    for (const [index, edit] of edits.entries()) {
+      expect(await documentService.getRevisionContent('ROOM02', 1, index + 1)).toBe(edit);
+    }
+
+    const range = await documentService.getHistoryRange('ROOM02', 1, 0, edits.length);
+    expect(range.baseContent).toBe(uploaded);
+    expect(range.steps).toHaveLength(edits.length);
+    expect((await documentService.getHistoryRange('ROOM02', 1, 2, edits.length)).baseContent).toBe(edits[1]);
+  });
+
+  test('rebases an operation made against the uploaded revision', async () => {
+    const uploaded = 'abc';
+    const editorDocs = await documentService.initializeEditorDocs('ROOM03', [
+      { id: 1, name: 'a.txt', language: 'plaintext', content: uploaded }
+    ]);
+    const editorDoc = editorDocs[1];
+
+    await documentService.applyOperationToDoc('ROOM03', 1, editorDoc, createReplaceOperation('abc', 'abcd'), 0);
+    // Still based on revision 0, e.g. a PUT with an old baseRevision
+    const stale = createReplaceOperation(await documentService.getRevisionContent('ROOM03', 1, 0), 'Xabc');
+    await documentService.applyOperationToDoc('ROOM03', 1, editorDoc, stale, 0);
+
+    expect(editorDoc.content).toBe('Xabcd');
+  });
+});
@@ -0,0 +1,240 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'collab-git-test-'));
+process.env.GIT_REPOSITORIES_ROOT = ROOT;
+
+const gitService = require('../gitService');
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Fixture',
+  GIT_AUTHOR_EMAIL: 'fixture@example.com',
+  GIT_COMMITTER_NAME: 'Fixture',
+  GIT_COMMITTER_EMAIL: 'fixture@example.com'
+};
+
+function git(repository, args) {
+  return execFileSync('git', args, { cwd: path.join(ROOT, repository), env: GIT_ENV, encoding: 'utf8' }).trim();
+}
+
+function writeFile(repository, name, content) {
+  const file = path.join(ROOT, repository, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+// A working tree on main with one commit of the given files
+let repoCounter = 0;
+function createWorkTree(files = { 'README.md': '# Demo\n', 'src/app.js': 'console.log(1);\n' }) {
+  const name = `work-${++repoCounter}`;
+  fs.mkdirSync(path.join(ROOT, name));
+  git(name, ['init', '--quiet', '--initial-branch=main']);
+  for (const [fileName, content] of Object.entries(files)) writeFile(name, fileName, content);
+  git(name, ['add', '--all']);
+  git(name, ['commit', '--quiet', '--message', 'Initial commit']);
+  return name;
+}
+
+function createBare() {
+  const name = `bare-${++repoCounter}.git`;
+  fs.mkdirSync(path.join(ROOT, name));
+  git(name, ['init', '--quiet', '--bare', '--initial-branch=main']);
+  return name;
+}
+
+const exportOptions = {
+  files: [{ name: 'main.py', content: 'print("hi")\n' }],
+  message: 'Export from the editor',
+  author: 'Ada Lovelace'
+};
+
+describe('gitService', () => {
+  afterAll(() => {
+    fs.rmSync(ROOT, { recursive: true, force: true });
+  });
+
+  describe('importFiles', () => {
+    test('reads the files of HEAD as room files', async () => {
+      const repository = createWorkTree();
+
+      const result = await gitService.importFiles(repository);
+
+      expect(result.commit).toBe(git(repository, ['rev-parse', 'HEAD']));
+      expect(result.files).toEqual([
+        { name: 'README.md', content: '# Demo\n', language: expect.any(String) },
+        { name: 'src/app.js', content: 'console.log(1);\n', language: 'javascript' }
+      ]);
+      expect(result.skipped).toEqual([]);
+    });
+
+    test('reads an older commit by tag and skips symlinks and binary files', async () => {
+      const repository = createWorkTree();
+      git(repository, ['tag', 'v1']);
+      writeFile(repository, 'README.md', '# Changed\n');
+      writeFile(repository, 'logo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x00, 0x01]));
+      fs.symlinkSync('README.md', path.join(ROOT, repository, 'link.md'));
+      git(repository, ['add', '--all']);
+      git(repository, ['commit', '--quiet', '--message', 'Second commit']);
+
+      const old = await gitService.importFiles(repository, 'v1');
+      expect(old.files.find(file => file.name === 'README.md').content).toBe('# Demo\n');
+
+      const latest = await gitService.importFiles(repository);
+      expect(latest.files.map(file => file.name)).toEqual(['README.md', 'src/app.js']);
+      expect(latest.skipped.sort()).toEqual(['link.md', 'logo.png']);
+    });
+
+    test('turns the line endings of committed files into LF', async () => {
+      const repository = createWorkTree({ 'win.bat': '@echo off\r\necho hi\r\n' });
+
+      const { files } = await gitService.importFiles(repository);
+
+      expect(files.map(file => file.content)).toEqual(['@echo off\necho hi\n']);
+    });
+
+    test.each(['no-such-branch', '--output=/tmp/x', 'HEAD~5'])('rejects the ref %s', async ref => {
+      const repository = createWorkTree();
+      await expect(gitService.importFiles(repository, ref)).rejects.toMatchObject({ code: 'invalid_ref' });
+    });
+  });
+
+  describe('exportFiles', () => {
+    test('commits to a bare repository and lays the files over the branch', async () => {
+      const repository = createBare();
+
+      const first = await gitService.exportFiles(repository, exportOptions);
+      expect(first).toEqual({ branch: 'main', commit: expect.stringMatching(/^[0-9a-f]{40}$/), parent: null, changed: true });
+      expect(git(repository, ['rev-parse', 'refs/heads/main'])).toBe(first.commit);
+      expect(git(repository, ['log', '-1', '--format=%an <%ae>'])).toBe('Ada Lovelace <ada-lovelace@users.noreply.collab-editor>');
+
+      const second = await gitService.exportFiles(repository, {
+        ...exportOptions,
+        files: [{ name: 'lib/util.py', content: 'X = 1\n' }]
+      });
+      expect(second).toMatchObject({ parent: first.commit, changed: true });
+      expect(git(repository, ['ls-tree', '-r', '--name-only', 'main']).split('\n')).toEqual(['lib/util.py', 'main.py']);
+    });
+
+    test('makes no commit when the files already match the branch', async () => {
+      const repository = createBare();
+      const first = await gitService.exportFiles(repository, exportOptions);
+
+      const again = await gitService.exportFiles(repository, exportOptions);
+
+      expect(again).toEqual({ branch: 'main', commit: first.commit, parent: first.commit, changed: false });
+    });
+
+    test('adds a Co-authored-by trailer per other author, once each', async () => {
+      const repository = createBare();
+
+      await gitService.exportFiles(repository, {
+        ...exportOptions,
+        coAuthors: ['Grace Hopper', 'Ada Lovelace', 'Grace Hopper', 'Linus <Torvalds>']
+      });
+
+      expect(git(repository, ['log', '-1', '--format=%B'])).toBe([
+        'Export from the editor',
+        '',
+        'Co-authored-by: Grace Hopper <grace-hopper@users.noreply.collab-editor>',
+        'Co-authored-by: Linus Torvalds <linus-torvalds@users.noreply.collab-editor>'
+      ].join('\n'));
+    });
+
+    test('updates a clean working tree that has the branch checked out', async () => {
+      const repository = createWorkTree();
+      const parent = git(repository, ['rev-parse', 'HEAD']);
+
+      const result = await gitService.exportFiles(repository, {
+        ...exportOptions,
+        files: [{ name: 'README.md', content: '# From the room\n' }]
+      });
+
+      expect(result).toMatchObject({ branch: 'main', parent, changed: true });
+      expect(git(repository, ['rev-parse', 'HEAD'])).toBe(result.commit);
+      expect(fs.readFileSync(path.join(ROOT, repository, 'README.md'), 'utf8')).toBe('# From the room\n');
+      expect(git(repository, ['status', '--porcelain'])).toBe('');
+    });
+
+    test('leaves the working tree alone when exporting to another branch', async () => {
+      const repository = createWorkTree();
+      const head = git(repository, ['rev-parse', 'HEAD']);
+
+      const result = await gitService.exportFiles(repository, { ...exportOptions, branch: 'feature/room' });
+
+      expect(result).toMatchObject({ branch: 'feature/room', parent: null });
+      expect(git(repository, ['rev-parse', 'HEAD'])).toBe(head);
+      expect(fs.existsSync(path.join(ROOT, repository, 'main.py'))).toBe(false);
+    });
+
+    test('refuses a checked-out branch with uncommitted changes', async () => {
+      const repository = createWorkTree();
+      const head = git(repository, ['rev-parse', 'HEAD']);
+      writeFile(repository, 'README.md', '# Local edit\n');
+
+      await expect(gitService.exportFiles(repository, exportOptions))
+        .rejects.toMatchObject({ code: 'working_tree_dirty', conflict: true });
+      expect(git(repository, ['rev-parse', 'HEAD'])).toBe(head);
+      expect(fs.readFileSync(path.join(ROOT, repository, 'README.md'), 'utf8')).toBe('# Local edit\n');
+    });
+
+    test('puts the branch back when the working tree can not be updated', async () => {
+      const repository = createWorkTree();
+      const head = git(repository, ['rev-parse', 'HEAD']);
+      writeFile(repository, 'main.py', 'untracked\n');
+
+      await expect(gitService.exportFiles(repository, exportOptions))
+        .rejects.toMatchObject({ code: 'working_tree_conflict', conflict: true });
+      expect(git(repository, ['rev-parse', 'HEAD'])).toBe(head);
+      expect(fs.readFileSync(path.join(ROOT, repository, 'main.py'), 'utf8')).toBe('untracked\n');
+      expect(git(repository, ['status', '--porcelain', '--untracked-files=no'])).toBe('');
+    });
+
+    test.each(['bad..name', 'ends-with.lock', '-leading-dash', 'has space'])('rejects the branch %s', async branch => {
+      const repository = createBare();
+      await expect(gitService.exportFiles(repository, { ...exportOptions, branch }))
+        .rejects.toMatchObject({ code: 'invalid_branch' });
+    });
+  });
+
+  describe('repository paths', () => {
+    test('rejects paths that lead out of the root', async () => {
+      await expect(gitService.importFiles('..')).rejects.toMatchObject({
+        code: 'invalid_repository',
+        message: 'Repositories must be inside GIT_REPOSITORIES_ROOT'
+      });
+      await expect(gitService.importFiles(`../${path.basename(ROOT)}/../..`)).rejects.toMatchObject({ code: 'invalid_repository' });
+    });
+
+    test('rejects symlinks that lead out of the root', async () => {
+      fs.symlinkSync(os.tmpdir(), path.join(ROOT, 'escape'));
+      await expect(gitService.importFiles('escape')).rejects.toMatchObject({
+        code: 'invalid_repository',
+        message: 'Repositories must be inside GIT_REPOSITORIES_ROOT'
+      });
+    });
+
+    test('rejects a folder inside a repository', async () => {
+      const repository = createWorkTree();
+      await expect(gitService.exportFiles(`${repository}/src`, exportOptions)).rejects.toMatchObject({
+        code: 'invalid_repository',
+        message: `${repository}/src is not the top of a git repository`
+      });
+      await expect(gitService.importFiles(`${repository}/.git`)).rejects.toMatchObject({ code: 'invalid_repository' });
+    });
+
+    test('rejects folders that are missing or not repositories', async () => {
+      fs.mkdirSync(path.join(ROOT, 'plain'));
+      await expect(gitService.importFiles('missing')).rejects.toMatchObject({
+        code: 'invalid_repository',
+        message: 'missing does not exist'
+      });
+      await expect(gitService.importFiles('plain')).rejects.toMatchObject({
+        code: 'invalid_repository',
+        message: 'plain is not a git repository'
+      });
+    });
+  });
+});
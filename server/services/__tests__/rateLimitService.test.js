@@ -0,0 +1,64 @@
+// Small buckets keep the numbers readable; other events keep their defaults
+process.env.RATE_LIMITS = JSON.stringify({
+  test_event: {
+    socket: { capacity: 2, refillPerSecond: 1 },
+    room: { capacity: 3, refillPerSecond: 0.5 }
+  }
+});
+
+const rateLimitService = require('../rateLimitService');
+
+describe('consume', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('lets a burst up to the capacity through, then says how long to wait', () => {
+    const owners = { socket: 'burst-socket' };
+    expect(rateLimitService.consume('test_event', owners)).toBe(0);
+    expect(rateLimitService.consume('test_event', owners)).toBe(0);
+    expect(rateLimitService.consume('test_event', owners)).toBe(1000);
+  });
+
+  test('refills at the configured rate', () => {
+    const owners = { socket: 'refill-socket' };
+    rateLimitService.consume('test_event', owners);
+    rateLimitService.consume('test_event', owners);
+
+    jest.advanceTimersByTime(400);
+    expect(rateLimitService.consume('test_event', owners)).toBe(600);
+    jest.advanceTimersByTime(600);
+    expect(rateLimitService.consume('test_event', owners)).toBe(0);
+    expect(rateLimitService.consume('test_event', owners)).toBe(1000);
+  });
+
+  test('never refills past the capacity', () => {
+    const owners = { socket: 'idle-socket' };
+    rateLimitService.consume('test_event', owners);
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(rateLimitService.consume('test_event', owners)).toBe(0);
+    expect(rateLimitService.consume('test_event', owners)).toBe(0);
+    expect(rateLimitService.consume('test_event', owners)).toBeGreaterThan(0);
+  });
+
+  test('takes from every bucket that applies, and from none when one is empty', () => {
+    const room = 'shared-room';
+    expect(rateLimitService.consume('test_event', { socket: 'first', room })).toBe(0);
+    expect(rateLimitService.consume('test_event', { socket: 'first', room })).toBe(0);
+    // The socket is out of tokens, so the room keeps the one it has left
+    expect(rateLimitService.consume('test_event', { socket: 'first', room })).toBe(1000);
+
+    expect(rateLimitService.consume('test_event', { socket: 'second', room })).toBe(0);
+    // Now the room is empty; it refills at half a token per second
+    expect(rateLimitService.consume('test_event', { socket: 'second', room })).toBe(2000);
+  });
+
+  test('lets events without limits through', () => {
+    expect(rateLimitService.consume('join_room', { socket: 'any' })).toBe(0);
+  });
+});
@@ -0,0 +1,223 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Short waits, so retries and debouncing happen within a test
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_MS = '100';
+process.env.WEBHOOK_TIMEOUT_MS = '200';
+process.env.WEBHOOK_DEBOUNCE_MS = '100';
+// The receiver runs on loopback
+process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+
+jest.mock('../../database', () => ({
+  listWebhooks: jest.fn(),
+  saveWebhookDelivery: jest.fn(),
+  deleteWebhookDeliveriesBefore: jest.fn()
+}));
+
+const db = require('../../database');
+const webhookService = require('../webhookService');
+
+const SECRET = 'test-secret-0123456789';
+
+// A receiver answering each request with the next of the given responses;
+// a response of 'hang' never answers
+function startReceiver(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, receivedAt: Date.now() });
+      const status = responses[Math.min(requests.length, responses.length) - 1];
+      if (status === 'hang') return;
+      res.writeHead(status);
+      res.end();
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ requests, server, url: `http://127.0.0.1:${server.address().port}/hook` });
+    });
+  });
+}
+
+// Rows written to the delivery log, as they were at the time
+let savedDeliveries;
+
+async function waitFor(predicate, timeout = 4000) {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const finished = () => savedDeliveries.some(delivery => delivery.status !== 'pending');
+
+describe('webhook deliveries', () => {
+  let receiver;
+  let roomCounter = 0;
+  let roomCode;
+
+  async function subscribe(responses, events = ['*']) {
+    receiver = await startReceiver(responses);
+    roomCode = `ROOM${String(++roomCounter).padStart(2, '0')}`;
+    db.listWebhooks.mockResolvedValue([{ id: 7, url: receiver.url, events, secret: SECRET }]);
+  }
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    savedDeliveries = [];
+    db.saveWebhookDelivery.mockImplementation(async delivery => { savedDeliveries.push({ ...delivery }); });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    webhookService.forgetRoom(roomCode);
+    receiver.server.closeAllConnections();
+    await new Promise(resolve => receiver.server.close(resolve));
+  });
+
+  test('signs the body with the secret and logs the delivery', async () => {
+    await subscribe([200]);
+    await webhookService.emit(roomCode, 'user_joined', { userId: 'u1', username: 'ada' });
+    await waitFor(finished);
+
+    const [request] = receiver.requests;
+    const timestamp = request.headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+    expect(request.headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    expect(request.headers['x-webhook-event']).toBe('user_joined');
+
+    const payload = JSON.parse(request.body);
+    expect(payload).toMatchObject({ event: 'user_joined', roomCode, data: { userId: 'u1', username: 'ada' } });
+    expect(request.headers['x-webhook-delivery']).toBe(payload.id);
+
+    expect(savedDeliveries).toEqual([{
+      id: payload.id,
+      webhookId: 7,
+      roomCode,
+      event: 'user_joined',
+      status: 'delivered',
+      attempts: 1,
+      responseStatus: 200,
+      error: null
+    }]);
+  });
+
+  test('retries server errors with growing waits under the same delivery id', async () => {
+    await subscribe([500, 503, 200]);
+    await webhookService.emit(roomCode, 'editor_added', { id: 2, name: 'a.py' });
+    await waitFor(finished);
+
+    const [first, second, third] = receiver.requests;
+    const ids = new Set(receiver.requests.map(request => request.headers['x-webhook-delivery']));
+    expect(ids.size).toBe(1);
+    // 100 ms then 200 ms, give or take 20% jitter
+    expect(second.receivedAt - first.receivedAt).toBeGreaterThanOrEqual(80);
+    expect(third.receivedAt - second.receivedAt).toBeGreaterThanOrEqual(160);
+
+    expect(savedDeliveries.map(({ status, attempts, responseStatus, error }) => ({ status, attempts, responseStatus, error })))
+      .toEqual([
+        { status: 'pending', attempts: 1, responseStatus: 500, error: 'Receiver answered 500' },
+        { status: 'pending', attempts: 2, responseStatus: 503, error: 'Receiver answered 503' },
+        { status: 'delivered', attempts: 3, responseStatus: 200, error: null }
+      ]);
+  });
+
+  test('retries a receiver that does not answer in time', async () => {
+    await subscribe(['hang', 200]);
+    await webhookService.emit(roomCode, 'room_closed', { reason: 'closed' });
+    await waitFor(finished);
+
+    expect(receiver.requests).toHaveLength(2);
+    expect(savedDeliveries[0]).toMatchObject({ status: 'pending', attempts: 1, responseStatus: null });
+    expect(savedDeliveries[0].error).toMatch(/timeout/);
+    expect(savedDeliveries[1]).toMatchObject({ status: 'delivered', attempts: 2, responseStatus: 200, error: null });
+  });
+
+  test('gives up after the last attempt', async () => {
+    await subscribe([502]);
+    await webhookService.emit(roomCode, 'room_created', {});
+    await waitFor(finished);
+
+    expect(receiver.requests).toHaveLength(3);
+    expect(savedDeliveries[savedDeliveries.length - 1]).toMatchObject({
+      status: 'failed',
+      attempts: 3,
+      responseStatus: 502,
+      error: 'Receiver answered 502'
+    });
+  });
+
+  test('does not retry answers that would come back the same', async () => {
+    await subscribe([404]);
+    await webhookService.emit(roomCode, 'room_created', {});
+    await waitFor(finished);
+
+    expect(receiver.requests).toHaveLength(1);
+    expect(savedDeliveries).toEqual([expect.objectContaining({ status: 'failed', attempts: 1, responseStatus: 404 })]);
+  });
+
+  test('only sends the events a webhook subscribed to', async () => {
+    await subscribe([200], ['execution_result']);
+    await webhookService.emit(roomCode, 'user_joined', {});
+    await webhookService.emit(roomCode, 'execution_result', { exitCode: 0 });
+    await waitFor(finished);
+
+    expect(receiver.requests.map(request => request.headers['x-webhook-event'])).toEqual(['execution_result']);
+  });
+
+  test('refuses receivers on non-public addresses unless they are allowed', async () => {
+    await subscribe([200]);
+    const port = receiver.server.address().port;
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+    try {
+      await jest.isolateModulesAsync(async () => {
+        const isolatedDb = require('../../database');
+        const isolatedService = require('../webhookService');
+        const validationService = require('../validationService');
+        isolatedDb.saveWebhookDelivery.mockImplementation(async delivery => { savedDeliveries.push({ ...delivery }); });
+
+        expect(() => validationService.validateApiPayload('create_webhook', { url: receiver.url, events: ['*'] }))
+          .toThrow(/loopback, private or link-local/);
+
+        // Subscribed while allowed, or a public name that now resolves to loopback
+        for (const url of [receiver.url, `http://localhost:${port}/hook`]) {
+          savedDeliveries = [];
+          isolatedDb.listWebhooks.mockResolvedValue([{ id: 7, url, events: ['*'], secret: SECRET }]);
+          await isolatedService.emit(roomCode, 'room_created', {});
+          await waitFor(finished);
+          isolatedService.forgetRoom(roomCode);
+
+          expect(savedDeliveries).toEqual([expect.objectContaining({ status: 'failed', attempts: 1, responseStatus: null })]);
+          expect(savedDeliveries[0].error).toMatch(/non-public address/);
+        }
+      });
+    } finally {
+      process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+    }
+    expect(receiver.requests).toHaveLength(0);
+  });
+
+  test('sends a burst of edits to a file as one document_changed', async () => {
+    await subscribe([200]);
+    webhookService.documentChanged(roomCode, 1, { name: 'a.js', revision: 1, checksum: 'aaaaaaaa' }, 'ada');
+    webhookService.documentChanged(roomCode, 1, { name: 'a.js', revision: 2, checksum: 'bbbbbbbb' }, 'grace');
+    webhookService.documentChanged(roomCode, 1, { name: 'a.js', revision: 3, checksum: 'cccccccc' }, 'ada');
+    await waitFor(finished);
+
+    expect(receiver.requests).toHaveLength(1);
+    expect(JSON.parse(receiver.requests[0].body).data).toEqual({
+      editorId: 1,
+      name: 'a.js',
+      revision: 3,
+      checksum: 'cccccccc',
+      authors: ['ada', 'grace']
+    });
+  });
+});
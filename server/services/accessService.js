@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const MAX_FAILED_JOINS = 5;
+const FAILED_JOIN_WINDOW_MS = 10 * 60 * 1000; // 10 minutes
+
+// key ('socket:<id>' or 'ip:<address>') -> { count, resetAt }
+const failedJoins = new Map();
+
+/**
+ * Hash a room passphrase for storage
+ * @param {string} passphrase
+ * @returns {Promise<string>} `<salt>:<hash>`, both hex encoded
+ */
+async function hashPassphrase(passphrase) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(passphrase, salt, KEY_LENGTH);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a passphrase against a stored hash
+ * @param {string} passphrase
+ * @param {string} stored - Value produced by hashPassphrase
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassphrase(passphrase, stored) {
+  if (typeof passphrase !== 'string' || !stored) return false;
+
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(passphrase, salt, KEY_LENGTH);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Generate a token for a single-use invite link
+ * @returns {string}
+ */
+function createInviteToken() {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+/**
+ * Milliseconds until any of the keys may try to join again
+ * @param {string[]} keys
+ * @returns {number} 0 if none of them is blocked
+ */
+function getJoinRetryAfter(keys) {
+  const now = Date.now();
+  let retryAfter = 0;
+
+  for (const key of keys) {
+    const entry = failedJoins.get(key);
+    if (!entry) continue;
+
+    if (entry.resetAt <= now) {
+      failedJoins.delete(key);
+    } else if (entry.count >= MAX_FAILED_JOINS) {
+      retryAfter = Math.max(retryAfter, entry.resetAt - now);
+    }
+  }
+
+  return retryAfter;
+}
+
+/**
+ * Count a failed join attempt against each key
+ * @param {string[]} keys
+ */
+function recordFailedJoin(keys) {
+  const now = Date.now();
+
+  for (const key of keys) {
+    const entry = failedJoins.get(key);
+    if (entry && entry.resetAt > now) {
+      entry.count++;
+    } else {
+      failedJoins.set(key, { count: 1, resetAt: now + FAILED_JOIN_WINDOW_MS });
+    }
+  }
+}
+
+// Drop expired entries so sockets and addresses that never come back don't pile up
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of failedJoins) {
+    if (entry.resetAt <= now) failedJoins.delete(key);
+  }
+}, FAILED_JOIN_WINDOW_MS).unref();
+
+module.exports = {
+  hashPassphrase,
+  verifyPassphrase,
+  createInviteToken,
+  getJoinRetryAfter,
+  recordFailedJoin
+};
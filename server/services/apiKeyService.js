@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+/**
+ * Keys from API_KEYS, a comma-separated list of `name:key` pairs. The name
+ * stands for the client in logs and in the history of files it edits.
+ * Only digests are kept, so keys can be compared in constant time.
+ */
+function loadApiKeys() {
+  return (process.env.API_KEYS ?? '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      const name = separator > 0 ? entry.slice(0, separator) : 'api';
+      const key = separator > 0 ? entry.slice(separator + 1) : entry;
+      if (key.length < 16) {
+        console.warn(`[ApiKeyService] The API key for '${name}' is shorter than 16 characters`);
+      }
+      return { name, digest: digest(key) };
+    });
+}
+
+function digest(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+const apiKeys = loadApiKeys();
+
+if (apiKeys.length === 0) {
+  console.warn('[ApiKeyService] API_KEYS not set, the REST API is disabled');
+}
+
+/**
+ * @returns {boolean} Whether any API keys are configured
+ */
+function isEnabled() {
+  return apiKeys.length > 0;
+}
+
+/**
+ * Look up the client an API key belongs to
+ * @param {string} key
+ * @returns {{ name: string } | null} The client, or null if the key is unknown
+ */
+function authenticate(key) {
+  if (typeof key !== 'string' || !key) return null;
+
+  const actual = digest(key);
+  // Every key is compared so the time taken doesn't depend on which one matched
+  let match = null;
+  for (const apiKey of apiKeys) {
+    if (crypto.timingSafeEqual(apiKey.digest, actual) && !match) match = apiKey;
+  }
+  return match && { name: match.name };
+}
+
+module.exports = {
+  isEnabled,
+  authenticate
+};
@@ -0,0 +1,264 @@
+const zlib = require('zlib');
+const { validateFilePath, normalizeLineEndings } = require('./validationService');
+
+// Limits on what an import may unpack to, whatever the size of the upload
+const MAX_IMPORT_FILES = 100;
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+const MAX_IMPORT_FILE_BYTES = 1024 * 1024; // Largest insert an operation may carry
+
+const LANGUAGE_BY_EXTENSION = {
+  js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript',
+  ts: 'typescript', mts: 'typescript', cts: 'typescript', tsx: 'typescript',
+  py: 'python',
+  html: 'html', htm: 'html',
+  css: 'css',
+  json: 'json',
+  go: 'go',
+  rs: 'rust',
+  rb: 'ruby',
+  php: 'php',
+  md: 'markdown', markdown: 'markdown'
+};
+
+// Files that come along in archives but are never part of the project
+const IGNORED_PATTERN = /(^|\/)(__MACOSX|\.git|node_modules)\/|(^|\/)\.DS_Store$/;
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a zip archive one piece at a time, so it can be written out
+ * while the rest is still being compressed
+ * @param {{ name: string, content: string }[]} files - name may contain folders
+ * @returns {Generator<Buffer>}
+ */
+function* createZip(files) {
+  const { time, date } = dosDateTime(new Date());
+  const entries = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.from(file.content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const entry = { name, crc: crc32(data), size: data.length, compressedSize: compressed.length, offset };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    header.writeUInt16LE(20, 4); // Version needed to extract
+    header.writeUInt16LE(UTF8_FLAG, 6);
+    header.writeUInt16LE(8, 8); // Deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(name.length, 26);
+
+    yield Buffer.concat([header, name, compressed]);
+    offset += header.length + name.length + compressed.length;
+    entries.push(entry);
+  }
+
+  const centralDirectory = entries.map(entry => {
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+    header.writeUInt16LE(20, 4); // Version made by
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(UTF8_FLAG, 8);
+    header.writeUInt16LE(8, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(entry.compressedSize, 20);
+    header.writeUInt32LE(entry.size, 24);
+    header.writeUInt16LE(entry.name.length, 28);
+    header.writeUInt32LE(entry.offset, 42);
+    return Buffer.concat([header, entry.name]);
+  });
+  const centralSize = centralDirectory.reduce((sum, header) => sum + header.length, 0);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  yield Buffer.concat([...centralDirectory, end]);
+}
+
+/**
+ * Unpack the files of a zip archive. Folders, encrypted entries and
+ * compression methods other than store and deflate are left out.
+ * @param {Buffer} buffer
+ * @returns {{ name: string, data: Buffer }[]}
+ * @throws {Error} If the archive can't be read or unpacks to more than the import limits
+ */
+function readZip(buffer) {
+  // The end of central directory record is last, followed by a comment of up to 64 KB
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) throw new Error('Not a zip archive');
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let position = buffer.readUInt32LE(endOffset + 16);
+  if (entryCount > MAX_IMPORT_FILES * 10) {
+    throw new Error(`Archives can have at most ${MAX_IMPORT_FILES} files`);
+  }
+
+  const files = [];
+  let totalSize = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupt zip archive');
+    }
+    const flags = buffer.readUInt16LE(position + 8);
+    const method = buffer.readUInt16LE(position + 10);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || flags & 0x1 || (method !== 0 && method !== 8)) continue;
+    if (size === 0xffffffff || compressedSize === 0xffffffff) {
+      throw new Error('Zip64 archives are not supported');
+    }
+
+    totalSize += size;
+    if (totalSize > MAX_IMPORT_BYTES) {
+      throw new Error(`Archives can unpack to at most ${MAX_IMPORT_BYTES / 1024 / 1024} MB`);
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupt zip archive');
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    // The declared size can't be trusted, so inflating stops at it
+    const data = method === 0 ? raw : zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    files.push({ name, data });
+  }
+  return files;
+}
+
+/**
+ * Monaco language for a file name, from its extension
+ * @param {string} name
+ * @returns {string}
+ */
+function detectLanguage(name) {
+  const extension = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1).toLowerCase() : '';
+  return LANGUAGE_BY_EXTENSION[extension] ?? 'plaintext';
+}
+
+// The path as a room stores it, or null if it isn't a valid one
+function toRoomPath(name) {
+  try {
+    return validateFilePath(name);
+  } catch {
+    return null;
+  }
+}
+
+function decodeText(data) {
+  if (data.includes(0)) return null;
+  try {
+    return normalizeLineEndings(new TextDecoder('utf-8', { fatal: true }).decode(data));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn uploaded files into room files. Zip archives are unpacked, a folder
+ * that holds everything is dropped from the paths, and files that aren't
+ * text, too large or not a valid path are skipped.
+ * @param {{ name: string, data: Buffer }[]} uploads
+ * @returns {{ files: { name: string, content: string, language: string }[], skipped: string[] }}
+ * @throws {Error} If an archive can't be read or the upload exceeds the import limits
+ */
+function prepareImport(uploads) {
+  const entries = uploads.flatMap(upload => {
+    if (!upload.name.toLowerCase().endsWith('.zip')) return [upload];
+    return readZip(upload.data);
+  });
+  return prepareFiles(entries);
+}
+
+/**
+ * Turn files read from elsewhere, e.g. an archive or a repository, into room
+ * files, skipping those that aren't text, too large or not a valid path
+ * @param {{ name: string, data: Buffer }[]} entries
+ * @param {{ stripSharedRoot?: boolean }} [options] - Whether a folder that holds everything is dropped from the paths
+ * @returns {{ files: { name: string, content: string, language: string }[], skipped: string[] }}
+ * @throws {Error} If there are more files than an import can have
+ */
+function prepareFiles(entries, { stripSharedRoot = true } = {}) {
+  const wanted = entries
+    .map(entry => ({ ...entry, name: entry.name.replace(/\\/g, '/').replace(/^\/+/, '') }))
+    .filter(entry => !IGNORED_PATTERN.test(entry.name));
+  if (wanted.length > MAX_IMPORT_FILES) {
+    throw new Error(`Imports can have at most ${MAX_IMPORT_FILES} files`);
+  }
+
+  // project/src/a.js and project/b.js become src/a.js and b.js
+  const [firstFolder] = wanted[0]?.name.split('/') ?? [];
+  const sharedRoot = stripSharedRoot && wanted.length > 0 && wanted.every(entry => entry.name.startsWith(`${firstFolder}/`));
+
+  const files = [];
+  const skipped = [];
+  const seen = new Set();
+  for (const entry of wanted) {
+    const name = sharedRoot ? entry.name.slice(firstFolder.length + 1) : entry.name;
+    const roomPath = toRoomPath(name);
+    const content = entry.data.length <= MAX_IMPORT_FILE_BYTES ? decodeText(entry.data) : null;
+    if (content === null || roomPath === null || seen.has(roomPath)) {
+      skipped.push(name);
+      continue;
+    }
+    seen.add(roomPath);
+    files.push({ name: roomPath, content, language: detectLanguage(roomPath) });
+  }
+  return { files, skipped };
+}
+
+module.exports = {
+  MAX_IMPORT_BYTES,
+  MAX_IMPORT_FILE_BYTES,
+  createZip,
+  readZip,
+  detectLanguage,
+  prepareImport,
+  prepareFiles
+};
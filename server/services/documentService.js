@@ -1,22 +1,47 @@
-const { transform } = require('../ot/transform');
-const { applyOperation } = require('../ot/operations');
+const { transform, transformIndex } = require('../ot/transform');
+const { applyOperation, getBaseLength } = require('../ot/operations');
+const { hashContent } = require('../ot/checksum');
+const { validateOperationLength } = require('./validationService');
 const db = require('../database');
 
 // In-memory document state per room
 // rooms[roomCode].editorDocs[editorId] = { content, revision, history }
+// history caches the most recent operations; older ones live in editor_operations
 const pendingWrites = new Map(); // key: `${roomCode}-${editorId}`
+const HISTORY_LIMIT = 100;
+const HISTORY_RANGE_LIMIT = 500;
+
+// Operations on the same document are applied one at a time, since
+// rebasing a stale operation may have to wait on the operation log
+const docQueues = new WeakMap(); // key: editorDoc
+
+// Users' cursors and selections as offsets into the current revision,
+// kept up to date as operations are applied
+const docCursors = new WeakMap(); // key: editorDoc, value: Map<userId, selections>
+
+/**
+ * Raised when an operation can't be rebased onto the current document.
+ * The client has to discard its local state and resync.
+ */
+class ResyncRequiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ResyncRequiredError';
+  }
+}
 
 /**
- * Initialize editor documents for a room
+ * Initialize editor documents for a room. Editors may come with content,
+ * e.g. from an upload; it becomes revision 0, which history replays from.
  */
 async function initializeEditorDocs(roomCode, editors) {
   const editorDocs = {};
 
   for (const editor of editors) {
     editorDocs[editor.id] = {
-      content: '',
+      content: editor.content ?? '',
       revision: 0,
-      history: [] // Store last 100 operations
+      history: [] // Most recent operations, see HISTORY_LIMIT
     };
   }
 
@@ -28,67 +53,239 @@ async function initializeEditorDocs(roomCode, editors) {
 
 /**
  * Load editor documents from database (for reconnection/server restart)
+ * Operations logged after the last saved snapshot are replayed on top of it.
  */
 async function loadEditorDocs(roomCode) {
   const rows = await db.loadRoomEditors(roomCode);
   const editorDocs = {};
 
   for (const row of rows) {
-    editorDocs[row.editor_id] = {
+    const editorDoc = {
       content: row.content,
       revision: row.revision,
       history: []
     };
+
+    const loggedOps = await db.loadOperationsSince(roomCode, row.editor_id, row.revision);
+    for (const { revision, operation } of loggedOps) {
+      if (revision !== editorDoc.revision + 1) break;
+      editorDoc.content = applyOperation(editorDoc.content, operation);
+      editorDoc.revision = revision;
+      pushHistory(editorDoc, operation);
+    }
+
+    if (editorDoc.revision !== row.revision) {
+      scheduleWrite(roomCode, row.editor_id, editorDoc.content, editorDoc.revision);
+    }
+
+    editorDocs[row.editor_id] = editorDoc;
   }
 
   return editorDocs;
 }
 
+function pushHistory(editorDoc, operation) {
+  editorDoc.history.push(operation);
+  if (editorDoc.history.length > HISTORY_LIMIT) {
+    editorDoc.history.shift();
+  }
+}
+
 /**
- * Apply an operation to a document
+ * Get the operations applied after baseRevision, from the in-memory
+ * history when it reaches back far enough, otherwise from the log
  */
-function applyOperationToDoc(editorDoc, operation, baseRevision) {
-  // If operation is at current revision, apply directly
+async function getOperationsSince(roomCode, editorId, editorDoc, baseRevision) {
+  const historyStart = editorDoc.revision - editorDoc.history.length;
+  if (baseRevision >= historyStart) {
+    return editorDoc.history.slice(baseRevision - historyStart);
+  }
+
+  const rows = await db.loadOperationsSince(roomCode, editorId, baseRevision);
+  const ops = rows
+    .filter(row => row.revision <= editorDoc.revision)
+    .map(row => row.operation);
+
+  if (ops.length !== editorDoc.revision - baseRevision) {
+    throw new ResyncRequiredError(
+      `Operation log for ${roomCode}/${editorId} is incomplete after revision ${baseRevision}`
+    );
+  }
+
+  return ops;
+}
+
+/**
+ * Apply an operation to a document, rebasing it if it was made against
+ * an older revision. Every applied operation is appended to the log.
+ * Rejects with a ValidationError if the operation doesn't fit the document,
+ * or a ResyncRequiredError if it can't be rebased or logged; the document is
+ * unchanged either way.
+ * @param {{ username: string, color: string }} [author] - Recorded for the history browser
+ * @returns {Promise<{ transformedOp: import('../ot/operations').Operation[], newRevision: number, checksum: string }>}
+ *   checksum is the hash of the content at newRevision
+ */
+function applyOperationToDoc(roomCode, editorId, editorDoc, operation, baseRevision, author) {
+  const previous = docQueues.get(editorDoc) || Promise.resolve();
+  const result = previous.then(() =>
+    applyQueuedOperation(roomCode, editorId, editorDoc, operation, baseRevision, author)
+  );
+
+  // Keep the queue going even if this operation fails
+  docQueues.set(editorDoc, result.catch(() => {}));
+  return result;
+}
+
+async function applyQueuedOperation(roomCode, editorId, editorDoc, operation, baseRevision, author) {
+  if (!Number.isInteger(baseRevision) || baseRevision < 0 || baseRevision > editorDoc.revision) {
+    throw new ResyncRequiredError(
+      `Cannot apply operation at revision ${baseRevision}, document is at ${editorDoc.revision}`
+    );
+  }
+
+  // Up to date, so the operation has to fit the document as it is.
+  // Nothing below mutates editorDoc until the operation is known to apply.
   if (baseRevision === editorDoc.revision) {
-    const newContent = applyOperation(editorDoc.content, operation);
-    editorDoc.content = newContent;
-    editorDoc.revision++;
-
-    // Store in history (keep last 100)
-    editorDoc.history.push(operation);
-    if (editorDoc.history.length > 100) {
-      editorDoc.history.shift();
-    }
+    validateOperationLength(operation, editorDoc.content.length);
+  }
 
-    return { transformedOp: operation, newRevision: editorDoc.revision };
+  let transformedOp = operation;
+  const opsToTransformAgainst = await getOperationsSince(roomCode, editorId, editorDoc, baseRevision);
+  for (const historicalOp of opsToTransformAgainst) {
+    transformedOp = transform(transformedOp, historicalOp, 'left');
   }
 
-  // If operation is behind, need to transform against newer operations
-  if (baseRevision < editorDoc.revision) {
-    const opsToTransformAgainst = editorDoc.history.slice(
-      baseRevision - (editorDoc.revision - editorDoc.history.length),
-      editorDoc.history.length
+  if (getBaseLength(transformedOp) > editorDoc.content.length) {
+    throw new ResyncRequiredError(
+      `Operation at revision ${baseRevision} does not fit the document at revision ${editorDoc.revision}`
     );
+  }
 
-    let transformedOp = operation;
-    for (const historicalOp of opsToTransformAgainst) {
-      transformedOp = transform(transformedOp, historicalOp, 'left');
-    }
+  const newContent = applyOperation(editorDoc.content, transformedOp);
 
-    const newContent = applyOperation(editorDoc.content, transformedOp);
-    editorDoc.content = newContent;
-    editorDoc.revision++;
+  // Logged before it is applied: a revision missing from the log would break
+  // history and rebasing for the file, so an operation that can't be logged is
+  // rejected and the client resyncs
+  try {
+    await db.appendOperation(roomCode, editorId, editorDoc.revision + 1, transformedOp, author);
+  } catch (error) {
+    console.error(`[DocumentService] Failed to log operation ${roomCode}/${editorId} rev ${editorDoc.revision + 1}:`, error);
+    throw new ResyncRequiredError(`Operation on ${roomCode}/${editorId} could not be saved`);
+  }
 
-    editorDoc.history.push(transformedOp);
-    if (editorDoc.history.length > 100) {
-      editorDoc.history.shift();
-    }
+  editorDoc.content = newContent;
+  editorDoc.revision++;
+  pushHistory(editorDoc, transformedOp);
+  transformCursors(editorDoc, transformedOp, author?.userId);
 
-    return { transformedOp, newRevision: editorDoc.revision };
+  // Hashed here, before the next queued operation can change the content
+  return { transformedOp, newRevision: editorDoc.revision, checksum: hashContent(editorDoc.content) };
+}
+
+/**
+ * Move a list of selections through an operation
+ * @param {{ anchor: number, head: number }[]} selections
+ * @param {string} side - See transformIndex
+ */
+function transformSelections(selections, operation, side) {
+  return selections.map(({ anchor, head }) => ({
+    anchor: transformIndex(anchor, operation, side),
+    head: transformIndex(head, operation, side)
+  }));
+}
+
+function transformCursors(editorDoc, operation, authorId) {
+  const cursors = docCursors.get(editorDoc);
+  if (!cursors) return;
+
+  for (const [userId, selections] of cursors) {
+    // The author's own cursor ends up after the text they typed
+    cursors.set(userId, transformSelections(selections, operation, userId === authorId ? 'after' : 'before'));
+  }
+}
+
+/**
+ * Record a user's selections, made against the given revision, and bring
+ * them up to the current one
+ * @param {{ anchor: number, head: number }[]} selections - Document offsets
+ * @returns {{ anchor: number, head: number }[] | null} Selections at editorDoc.revision,
+ *   or null if the revision is no longer in the in-memory history
+ */
+function setCursor(editorDoc, userId, selections, revision) {
+  const historyStart = editorDoc.revision - editorDoc.history.length;
+  if (!Number.isInteger(revision) || revision < historyStart || revision > editorDoc.revision) {
+    return null;
+  }
+
+  let current = selections;
+  for (const operation of editorDoc.history.slice(revision - historyStart)) {
+    current = transformSelections(current, operation, 'before');
+  }
+
+  const length = editorDoc.content.length;
+  const clamp = offset => Math.min(Math.max(offset, 0), length);
+  current = current.map(({ anchor, head }) => ({ anchor: clamp(anchor), head: clamp(head) }));
+
+  if (!docCursors.has(editorDoc)) {
+    docCursors.set(editorDoc, new Map());
+  }
+  docCursors.get(editorDoc).set(userId, current);
+  return current;
+}
+
+function removeCursor(editorDoc, userId) {
+  docCursors.get(editorDoc)?.delete(userId);
+}
+
+/**
+ * Everyone's selections at the current revision
+ * @returns {{ userId: string, selections: { anchor: number, head: number }[] }[]}
+ */
+function getCursors(editorDoc) {
+  return Array.from(docCursors.get(editorDoc) ?? [], ([userId, selections]) => ({ userId, selections }));
+}
+
+/**
+ * Rebuild the content of a past revision by replaying the operation log
+ * over the content the file started with
+ */
+async function getRevisionContent(roomCode, editorId, revision) {
+  const rows = await db.loadOperationsRange(roomCode, editorId, 0, revision);
+  if (rows.length !== revision) {
+    throw new Error(`History for ${roomCode}/${editorId} is not available up to revision ${revision}`);
   }
 
-  // Operation is from the future - should not happen
-  throw new Error(`Operation from future: baseRevision ${baseRevision} > current ${editorDoc.revision}`);
+  const baseContent = await db.loadBaseContent(roomCode, editorId);
+  return rows.reduce((content, row) => applyOperation(content, row.operation), baseContent);
+}
+
+/**
+ * Get the steps between two revisions along with the content at the start,
+ * so a client can replay any revision in the range locally.
+ * Ranges longer than HISTORY_RANGE_LIMIT are cut to their most recent steps.
+ */
+async function getHistoryRange(roomCode, editorId, fromRevision, toRevision) {
+  const start = Math.max(fromRevision, toRevision - HISTORY_RANGE_LIMIT);
+  const rows = await db.loadOperationsRange(roomCode, editorId, 0, toRevision);
+  if (rows.length !== toRevision) {
+    throw new Error(`History for ${roomCode}/${editorId} is not available up to revision ${toRevision}`);
+  }
+
+  const baseContent = rows
+    .slice(0, start)
+    .reduce((content, row) => applyOperation(content, row.operation), await db.loadBaseContent(roomCode, editorId));
+
+  return {
+    fromRevision: start,
+    toRevision,
+    baseContent,
+    steps: rows.slice(start).map(row => ({
+      revision: row.revision,
+      operation: row.operation,
+      author: row.author_name ? { username: row.author_name, color: row.author_color } : null,
+      timestamp: row.created_at
+    }))
+  };
 }
 
 /**
@@ -140,5 +337,11 @@ module.exports = {
   loadEditorDocs,
   applyOperationToDoc,
   scheduleWrite,
-  flushPendingWrites
+  flushPendingWrites,
+  getRevisionContent,
+  getHistoryRange,
+  setCursor,
+  removeCursor,
+  getCursors,
+  ResyncRequiredError
 };
@@ -0,0 +1,19 @@
+// Where code runs: 'piston' sends it to a Piston instance over HTTP,
+// 'local' runs it in child processes on this machine.
+// Every backend provides:
+//   name: string
+//   languages: string[] - Monaco languages it can run
+//   listRuntimes(): Promise<{ monacoLanguage, language, version }[]>
+//   execute(files, runtime, options): Promise<{ stdout, stderr, exitCode, truncated? }>,
+//     calling options.onOutput(stream, data) as output comes in, in order
+const BACKENDS = {
+  piston: () => require('./pistonBackend'),
+  local: () => require('./localBackend')
+};
+
+const backendName = process.env.EXECUTION_BACKEND || 'piston';
+if (!BACKENDS[backendName]) {
+  throw new Error(`Unknown EXECUTION_BACKEND '${backendName}', expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+}
+
+module.exports = BACKENDS[backendName]();
@@ -0,0 +1,232 @@
+const { spawn, execFile } = require('child_process');
+const { promisify } = require('util');
+const { StringDecoder } = require('string_decoder');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const execFileAsync = promisify(execFile);
+
+// Limits for every program run. The memory limit is on address space, and
+// V8 reserves about 1 GB of it up front, so Node won't start with less.
+const MEMORY_LIMIT_MB = parseInt(process.env.LOCAL_EXECUTION_MEMORY_MB, 10) || 1024;
+const MAX_OUTPUT_BYTES = parseInt(process.env.LOCAL_EXECUTION_MAX_OUTPUT_BYTES, 10) || 64 * 1024;
+// 'allow' runs programs with network access where unshare isn't permitted
+const ALLOW_NETWORK = process.env.LOCAL_EXECUTION_NETWORK === 'allow';
+const DEFAULT_COMPILE_TIMEOUT_MS = 10000;
+const DEFAULT_RUN_TIMEOUT_MS = 3000;
+const VERSION_TIMEOUT_MS = 5000;
+// Kept between runs: building Go's standard library from cold takes longer than a compile timeout
+const GO_CACHE_DIR = path.join(os.tmpdir(), 'collab-run-gocache');
+
+// How each language runs: the interpreter or compiler on PATH, and the
+// commands for its stages, given the entry file name
+const RUNTIMES = {
+  javascript: { command: 'node', run: (entry) => ['node', entry] },
+  typescript: { command: 'deno', run: (entry) => ['deno', 'run', '--quiet', entry] },
+  python: { command: 'python3', run: (entry) => ['python3', entry] },
+  ruby: { command: 'ruby', run: (entry) => ['ruby', entry] },
+  php: { command: 'php', run: (entry) => ['php', entry] },
+  go: {
+    command: 'go',
+    versionArgs: ['version'],
+    compile: (entry) => ['go', 'build', '-o', 'main', entry],
+    run: () => ['./main']
+  },
+  rust: {
+    command: 'rustc',
+    compile: (entry) => ['rustc', '-o', 'main', entry],
+    run: () => ['./main']
+  }
+};
+
+let networkIsolation = null;
+
+// Whether programs can get a network namespace of their own; checked once
+function canIsolateNetwork() {
+  if (!networkIsolation) {
+    networkIsolation = execFileAsync('unshare', ['-rn', 'true'], { timeout: VERSION_TIMEOUT_MS })
+      .then(() => true, () => false);
+  }
+  return networkIsolation;
+}
+
+/**
+ * Interpreters and compilers found on this machine
+ * @returns {Promise<{ monacoLanguage: string, language: string, version: string }[]>}
+ */
+async function listRuntimes() {
+  const found = await Promise.all(Object.entries(RUNTIMES).map(async ([monacoLanguage, runtime]) => {
+    try {
+      const { stdout, stderr } = await execFileAsync(
+        runtime.command,
+        runtime.versionArgs ?? ['--version'],
+        { timeout: VERSION_TIMEOUT_MS }
+      );
+      const version = `${stdout}${stderr}`.match(/\d+\.\d+(\.\d+)?/)?.[0];
+      return version ? { monacoLanguage, language: runtime.command, version } : null;
+    } catch {
+      return null; // Not installed
+    }
+  }));
+  return found.filter(Boolean);
+}
+
+/**
+ * Run one command in the working directory under the limits. Output past
+ * MAX_OUTPUT_BYTES ends the process.
+ * @returns {Promise<{ stdout: string, stderr: string, exitCode: number, truncated: boolean }>}
+ */
+function runStage(argv, { cwd, stdin, timeoutMs, isolateNetwork, signal, onOutput }) {
+  const cpuSeconds = Math.max(1, Math.ceil(timeoutMs / 1000));
+  const limited = [
+    'sh', '-c', `ulimit -t ${cpuSeconds}; ulimit -v ${MEMORY_LIMIT_MB * 1024}; exec "$@"`, 'sh', ...argv
+  ];
+  const [command, ...commandArgs] = isolateNetwork ? ['unshare', '-rn', ...limited] : limited;
+
+  return new Promise((resolve, reject) => {
+    // Only what the interpreters need; the server's own environment holds secrets
+    const child = spawn(command, commandArgs, {
+      cwd,
+      detached: true, // Own process group, so everything it starts can be killed
+      env: {
+        PATH: process.env.PATH,
+        HOME: process.env.HOME,
+        LANG: process.env.LANG || 'C.UTF-8',
+        TMPDIR: cwd,
+        GOCACHE: GO_CACHE_DIR
+      }
+    });
+
+    const stdout = [];
+    const stderr = [];
+    let outputBytes = 0;
+    let truncated = false;
+    let killReason = null;
+
+    const kill = (reason) => {
+      if (killReason) return;
+      killReason = reason;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        // Already gone
+      }
+    };
+
+    const collect = (chunks, stream) => {
+      // Keeps a character split across two reads together
+      const decoder = new StringDecoder('utf8');
+      return (chunk) => {
+        const room = MAX_OUTPUT_BYTES - outputBytes;
+        if (room <= 0) return;
+        const kept = chunk.subarray(0, room);
+        chunks.push(kept);
+        outputBytes += kept.length;
+        const text = decoder.write(kept);
+        if (text) onOutput?.(stream, text);
+        if (chunk.length > room) {
+          truncated = true;
+          kill('output');
+        }
+      };
+    };
+    child.stdout.on('data', collect(stdout, 'stdout'));
+    child.stderr.on('data', collect(stderr, 'stderr'));
+
+    const timer = setTimeout(() => kill('timeout'), timeoutMs);
+    const onAbort = () => kill('cancelled');
+    signal?.addEventListener('abort', onAbort);
+
+    // The program may exit without reading its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(stdin);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      reject(error);
+    });
+
+    child.on('close', (code, exitSignal) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (killReason === 'cancelled') {
+        reject(new Error('Execution cancelled'));
+        return;
+      }
+
+      let notice = '';
+      if (killReason === 'timeout') {
+        notice = `\nKilled: exceeded the ${timeoutMs} ms time limit`;
+      } else if (exitSignal === 'SIGXCPU' || (exitSignal === 'SIGKILL' && !killReason)) {
+        notice = '\nKilled: exceeded the CPU time limit';
+      }
+      if (notice) onOutput?.('stderr', notice);
+      const errorOutput = Buffer.concat(stderr).toString() + notice;
+
+      resolve({
+        stdout: Buffer.concat(stdout).toString(),
+        stderr: errorOutput,
+        exitCode: code ?? 128 + (os.constants.signals[exitSignal] ?? 0),
+        truncated
+      });
+    });
+  });
+}
+
+/**
+ * Run files in child processes in a temporary directory, without network
+ * @param {{ name: string, content: string }[]} files - The first one is run
+ * @param {{ monacoLanguage: string, language: string, version: string }} runtime
+ * @param {Object} options - See executionService.executeCode
+ * @returns {Promise<{ stdout: string, stderr: string, exitCode: number, truncated: boolean }>}
+ */
+async function execute(files, runtime, { signal, stdin = '', args = [], compileTimeout, runTimeout, onOutput }) {
+  const { compile, run } = RUNTIMES[runtime.monacoLanguage];
+
+  const isolateNetwork = !ALLOW_NETWORK;
+  if (isolateNetwork && !(await canIsolateNetwork())) {
+    throw new Error('Programs cannot be cut off from the network here (unshare -rn failed); set LOCAL_EXECUTION_NETWORK=allow to run them anyway');
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'collab-run-'));
+  try {
+    for (const file of files) {
+      // Paths can have folders, but must stay inside the working directory
+      const filePath = path.join(workDir, file.name);
+      if (path.relative(workDir, filePath).startsWith('..')) {
+        throw new Error(`Invalid file path: ${file.name}`);
+      }
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, file.content);
+    }
+    const entry = files[0].name;
+    const stageOptions = { cwd: workDir, isolateNetwork, signal, onOutput };
+
+    // Compiled languages that fail to build never reach the run stage
+    if (compile) {
+      const result = await runStage(compile(entry), {
+        ...stageOptions,
+        stdin: '',
+        timeoutMs: compileTimeout ?? DEFAULT_COMPILE_TIMEOUT_MS
+      });
+      if (result.exitCode !== 0) return result;
+    }
+
+    return await runStage([...run(entry), ...args], {
+      ...stageOptions,
+      stdin,
+      timeoutMs: runTimeout ?? DEFAULT_RUN_TIMEOUT_MS
+    });
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  name: 'local',
+  languages: Object.keys(RUNTIMES),
+  listRuntimes,
+  execute
+};
@@ -0,0 +1,202 @@
+const axios = require('axios');
+const WebSocket = require('ws');
+
+const PISTON_API_URL = process.env.PISTON_URL || 'http://localhost:2000/api/v2';
+const PISTON_WS_URL = PISTON_API_URL.replace(/^http/, 'ws');
+const DEFAULT_REQUEST_TIMEOUT_MS = 10000;
+const RUNTIMES_TIMEOUT_MS = 5000;
+
+// Names a Piston runtime may go by, per Monaco language identifier. A runtime
+// belongs to a language if its name or one of its aliases is listed here.
+const LANGUAGE_ALIASES = {
+  javascript: ['javascript', 'js', 'node-javascript', 'node-js'],
+  typescript: ['typescript', 'ts'],
+  python: ['python', 'py', 'python3', 'py3'],
+  go: ['go', 'golang'],
+  rust: ['rust', 'rs'],
+  ruby: ['ruby', 'rb'],
+  php: ['php']
+};
+
+/**
+ * Runtimes installed in Piston
+ * @returns {Promise<{ monacoLanguage: string, language: string, version: string }[]>}
+ */
+async function listRuntimes() {
+  const response = await axios.get(`${PISTON_API_URL}/runtimes`, { timeout: RUNTIMES_TIMEOUT_MS });
+  const runtimes = [];
+  for (const [monacoLanguage, aliases] of Object.entries(LANGUAGE_ALIASES)) {
+    for (const runtime of response.data) {
+      const names = [runtime.language, ...(runtime.aliases ?? [])];
+      if (names.some(name => aliases.includes(name))) {
+        runtimes.push({ monacoLanguage, language: runtime.language, version: runtime.version });
+      }
+    }
+  }
+  return runtimes;
+}
+
+// Leave Piston room to enforce its own limits before giving up on the request
+function getRequestTimeout(compileTimeout, runTimeout) {
+  return Math.max(DEFAULT_REQUEST_TIMEOUT_MS, (compileTimeout ?? 0) + (runTimeout ?? 0) + 2000);
+}
+
+/**
+ * Run files through Piston's execute endpoint
+ * @param {{ name: string, content: string }[]} files - The first one is run
+ * @param {{ language: string, version: string }} runtime - Piston runtime
+ * @param {Object} options - See executionService.executeCode
+ * @returns {Promise<{ stdout: string, stderr: string, exitCode: number }>}
+ */
+async function execute(files, runtime, options) {
+  // Piston's websocket interface streams output, but has no way to close
+  // the program's stdin, so runs that read input go over HTTP and their
+  // output arrives in one piece at the end
+  if (options.onOutput && !options.stdin) {
+    return executeStreaming(files, runtime, options);
+  }
+
+  const { signal, stdin = '', args = [], compileTimeout, runTimeout, onOutput } = options;
+  const requestTimeout = getRequestTimeout(compileTimeout, runTimeout);
+
+  try {
+    const response = await axios.post(
+      `${PISTON_API_URL}/execute`,
+      {
+        language: runtime.language,
+        version: runtime.version,
+        files,
+        stdin,
+        args,
+        ...(compileTimeout && { compile_timeout: compileTimeout }),
+        ...(runTimeout && { run_timeout: runTimeout })
+      },
+      {
+        timeout: requestTimeout,
+        signal
+      }
+    );
+
+    // Compiled languages that fail to build never reach the run stage
+    const { compile } = response.data;
+    const result = compile && compile.code !== 0 ? compile : response.data.run;
+
+    if (result.stdout) onOutput?.('stdout', result.stdout);
+    if (result.stderr) onOutput?.('stderr', result.stderr);
+
+    return {
+      stdout: result.stdout || '',
+      stderr: result.stderr || '',
+      exitCode: result.code || 0
+    };
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      throw new Error('Execution cancelled');
+    }
+
+    console.error('[PistonBackend] Error:', error.message);
+
+    if (error.code === 'ECONNABORTED') {
+      throw new Error(`Execution timed out after ${requestTimeout / 1000} seconds`);
+    }
+
+    if (error.response) {
+      const detail = error.response.data?.message;
+      throw new Error(`Piston API error: ${error.response.status}${detail ? ` (${detail})` : ''}`);
+    }
+
+    throw new Error('Code execution service unavailable');
+  }
+}
+
+/**
+ * Run files over Piston's websocket interface, passing output on as it
+ * is written
+ * @returns {Promise<{ stdout: string, stderr: string, exitCode: number }>}
+ */
+function executeStreaming(files, runtime, { signal, args = [], compileTimeout, runTimeout, onOutput }) {
+  const requestTimeout = getRequestTimeout(compileTimeout, runTimeout);
+
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${PISTON_WS_URL}/connect`);
+    const stages = {}; // compile/run -> { stdout, stderr, code }
+    let stage = null;
+    let settled = false;
+
+    const settle = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      ws.terminate();
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      settle(new Error(`Execution timed out after ${requestTimeout / 1000} seconds`));
+    }, requestTimeout);
+    const onAbort = () => settle(new Error('Execution cancelled'));
+    signal?.addEventListener('abort', onAbort);
+
+    ws.on('open', () => {
+      ws.send(JSON.stringify({
+        type: 'init',
+        language: runtime.language,
+        version: runtime.version,
+        files,
+        args,
+        ...(compileTimeout && { compile_timeout: compileTimeout }),
+        ...(runTimeout && { run_timeout: runTimeout })
+      }));
+    });
+
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch {
+        return;
+      }
+
+      if (message.type === 'stage') {
+        stage = message.stage;
+        stages[stage] = { stdout: '', stderr: '', code: null };
+      } else if (message.type === 'data' && stages[stage]) {
+        stages[stage][message.stream] += message.data;
+        onOutput(message.stream, message.data);
+      } else if (message.type === 'exit' && stages[message.stage]) {
+        stages[message.stage].code = message.code;
+      } else if (message.type === 'error') {
+        settle(new Error(`Piston API error: ${message.message}`));
+      }
+    });
+
+    // Piston closes the socket once the job is done
+    ws.on('close', (code, reason) => {
+      // Compiled languages that fail to build never reach the run stage
+      const result = stages.compile && stages.compile.code !== 0 ? stages.compile : stages.run;
+      if (!result) {
+        settle(new Error(`Piston API error: ${reason.toString() || `connection closed (${code})`}`));
+        return;
+      }
+      settle(null, {
+        stdout: result.stdout,
+        stderr: result.stderr,
+        exitCode: result.code || 0
+      });
+    });
+
+    ws.on('error', (error) => {
+      console.error('[PistonBackend] Error:', error.message);
+      settle(new Error('Code execution service unavailable'));
+    });
+  });
+}
+
+module.exports = {
+  name: 'piston',
+  languages: Object.keys(LANGUAGE_ALIASES),
+  listRuntimes,
+  execute
+};
@@ -0,0 +1,164 @@
+const { executeCode } = require('./executionService');
+
+// Runs allowed at once in one room and across the server; the rest wait in line
+const ROOM_CONCURRENCY = parseInt(process.env.EXECUTION_ROOM_CONCURRENCY, 10) || 1;
+const GLOBAL_CONCURRENCY = parseInt(process.env.EXECUTION_CONCURRENCY, 10) || 4;
+const MAX_QUEUED_PER_ROOM = 10;
+
+/**
+ * @typedef {Object} ExecutionJob
+ * @property {string} executionId
+ * @property {string} roomCode
+ * @property {number} fileId
+ * @property {string} userId - Who started the run
+ * @property {{ name: string, content: string }[]} files - Entry point first
+ * @property {string} language
+ * @property {{ stdin?: string, args?: string[], compileTimeout?: number, runTimeout?: number, version?: string }} [input]
+ * @property {'queued'|'running'|'finished'|'cancelled'} status
+ * @property {number} queuedAt
+ * @property {number} [startedAt]
+ */
+
+// Jobs waiting for a slot, oldest first, across all rooms
+const queue = [];
+// executionId -> job, while queued or running
+const activeJobs = new Map();
+// executionId -> AbortController of a running job
+const controllers = new Map();
+const runningPerRoom = new Map(); // roomCode -> count
+let runningTotal = 0;
+
+/**
+ * Queue code for execution
+ * @param {{ executionId: string, roomCode: string, fileId: number, userId: string, files: Object[], language: string, input?: Object }} params
+ * @param {(job: ExecutionJob, outcome?: { result?: Object, error?: Error }) => void} onUpdate -
+ *   Called on every status change; a finished job comes with the result or the error
+ * @param {(job: ExecutionJob, stream: 'stdout'|'stderr', data: string) => void} [onOutput] -
+ *   Called with output while the job runs
+ * @returns {ExecutionJob}
+ * @throws {Error} If the room already has too many runs waiting
+ */
+function enqueue(params, onUpdate, onOutput) {
+  const waiting = queue.filter(job => job.roomCode === params.roomCode).length;
+  if (waiting >= MAX_QUEUED_PER_ROOM) {
+    throw new Error(`This room already has ${MAX_QUEUED_PER_ROOM} runs waiting`);
+  }
+
+  const job = { ...params, status: 'queued', queuedAt: Date.now(), onUpdate, onOutput };
+  activeJobs.set(job.executionId, job);
+  queue.push(job);
+  onUpdate(job);
+  drain();
+  return job;
+}
+
+// Start every waiting job that has a free slot, oldest first
+function drain() {
+  for (let i = 0; i < queue.length && runningTotal < GLOBAL_CONCURRENCY;) {
+    const job = queue[i];
+    if ((runningPerRoom.get(job.roomCode) ?? 0) >= ROOM_CONCURRENCY) {
+      i++;
+      continue;
+    }
+    queue.splice(i, 1);
+    run(job);
+  }
+}
+
+async function run(job) {
+  const controller = new AbortController();
+  controllers.set(job.executionId, controller);
+  runningTotal++;
+  runningPerRoom.set(job.roomCode, (runningPerRoom.get(job.roomCode) ?? 0) + 1);
+
+  job.status = 'running';
+  job.startedAt = Date.now();
+  job.onUpdate(job);
+
+  let outcome;
+  try {
+    outcome = {
+      result: await executeCode(job.files, job.language, {
+        ...job.input,
+        signal: controller.signal,
+        // Nothing more is reported once a job has been cancelled
+        onOutput: (stream, data) => {
+          if (job.status === 'running') job.onOutput?.(job, stream, data);
+        }
+      })
+    };
+  } catch (error) {
+    outcome = { error };
+  }
+
+  controllers.delete(job.executionId);
+  runningTotal--;
+  const running = runningPerRoom.get(job.roomCode) - 1;
+  if (running > 0) runningPerRoom.set(job.roomCode, running);
+  else runningPerRoom.delete(job.roomCode);
+
+  // A cancelled job has already been reported
+  if (job.status === 'running') {
+    job.status = 'finished';
+    activeJobs.delete(job.executionId);
+    job.onUpdate(job, outcome);
+  }
+  drain();
+}
+
+/**
+ * Cancel a queued or running job. A running job keeps its slot until
+ * the request to the execution backend has been aborted.
+ * @param {string} executionId
+ * @returns {ExecutionJob|null} The cancelled job, or null if it wasn't active
+ */
+function cancel(executionId) {
+  const job = activeJobs.get(executionId);
+  if (!job) return null;
+
+  if (job.status === 'queued') {
+    queue.splice(queue.indexOf(job), 1);
+  } else {
+    controllers.get(executionId)?.abort();
+  }
+
+  job.status = 'cancelled';
+  activeJobs.delete(executionId);
+  job.onUpdate(job);
+  return job;
+}
+
+/**
+ * @param {string} executionId
+ * @returns {ExecutionJob|undefined}
+ */
+function getJob(executionId) {
+  return activeJobs.get(executionId);
+}
+
+/**
+ * Queued and running jobs of a room, in the order they were queued
+ * @param {string} roomCode
+ * @returns {ExecutionJob[]}
+ */
+function getRoomJobs(roomCode) {
+  return Array.from(activeJobs.values())
+    .filter(job => job.roomCode === roomCode)
+    .sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+/**
+ * Cancel everything a room has queued or running, e.g. when it closes
+ * @param {string} roomCode
+ */
+function cancelRoomJobs(roomCode) {
+  getRoomJobs(roomCode).forEach(job => cancel(job.executionId));
+}
+
+module.exports = {
+  enqueue,
+  cancel,
+  getJob,
+  getRoomJobs,
+  cancelRoomJobs
+};
@@ -1,6 +1,6 @@
-const axios = require('axios');
+const backend = require('./executionBackends');
+const { resolveRuntime } = require('./runtimeService');
 
-const PISTON_API_URL = process.env.PISTON_URL || 'http://localhost:2000/api/v2';
 const MAX_OUTPUT_LENGTH = 10000;
 
 function truncateOutput(output, maxLength = MAX_OUTPUT_LENGTH) {
@@ -13,89 +13,42 @@ function truncateOutput(output, maxLength = MAX_OUTPUT_LENGTH) {
   };
 }
 
-// Language mapping from Monaco to Piston (versions match local Piston instance)
-const LANGUAGE_MAP = {
-  javascript: { language: 'javascript', version: '20.11.1' },
-  typescript: { language: 'typescript', version: '5.0.3' },
-  python: { language: 'python', version: '3.12.0' },
-  go: { language: 'go', version: '1.16.2' },
-  rust: { language: 'rust', version: '1.68.2' },
-  ruby: { language: 'ruby', version: '3.0.1' },
-  php: { language: 'php', version: '8.2.3' },
-};
-
 /**
- * Execute code using Piston API
- * @param {string} code - The code to execute
- * @param {string} language - Monaco language identifier
+ * Execute code on the configured backend
+ * @param {{ name: string, content: string }[]} files - Project files; the first one is run
+ * @param {string} language - Monaco language identifier of the file that runs
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the run
+ * @param {string} [options.version] - Runtime version, the newest installed if omitted
+ * @param {string} [options.stdin] - Text piped to the program's standard input
+ * @param {string[]} [options.args] - Command-line arguments
+ * @param {number} [options.compileTimeout] - Milliseconds, the backend's default if omitted
+ * @param {number} [options.runTimeout] - Milliseconds, the backend's default if omitted
+ * @param {(stream: 'stdout'|'stderr', data: string) => void} [options.onOutput] - Receives
+ *   output while the program runs; the result still holds all of it
  * @returns {Promise<Object>} Execution result
  */
-async function executeCode(code, language) {
+async function executeCode(files, language, { signal, version, ...limits } = {}) {
   const startTime = Date.now();
 
-  // Check if language is supported
-  const pistonConfig = LANGUAGE_MAP[language];
-  if (!pistonConfig) {
-    throw new Error(`Language '${language}' is not supported for execution`);
-  }
-
-  try {
-    const response = await axios.post(
-      `${PISTON_API_URL}/execute`,
-      {
-        language: pistonConfig.language,
-        version: pistonConfig.version,
-        files: [
-          {
-            content: code
-          }
-        ]
-      },
-      {
-        timeout: 10000 // 10 second timeout
-      }
-    );
-
-    const executionTime = Date.now() - startTime;
-    const result = response.data.run;
-
-    const stdoutData = truncateOutput(result.stdout || '');
-    const stderrData = truncateOutput(result.stderr || '');
-
-    return {
-      stdout: stdoutData.content,
-      stderr: stderrData.content,
-      exitCode: result.code || 0,
-      executionTime,
-      language: pistonConfig.language,
-      version: pistonConfig.version,
-      truncated: stdoutData.truncated || stderrData.truncated
-    };
-  } catch (error) {
-    console.error('[ExecutionService] Error:', error.message);
-
-    if (error.code === 'ECONNABORTED') {
-      throw new Error('Execution timed out after 10 seconds');
-    }
+  const runtime = await resolveRuntime(language, version);
+  const result = await backend.execute(files, runtime, { signal, ...limits });
 
-    if (error.response) {
-      throw new Error(`Piston API error: ${error.response.status}`);
-    }
+  const executionTime = Date.now() - startTime;
+  const stdoutData = truncateOutput(result.stdout);
+  const stderrData = truncateOutput(result.stderr);
 
-    throw new Error('Code execution service unavailable');
-  }
-}
-
-/**
- * Get list of supported languages
- * @returns {Array<string>} Array of supported Monaco language identifiers
- */
-function getSupportedLanguages() {
-  return Object.keys(LANGUAGE_MAP);
+  return {
+    stdout: stdoutData.content,
+    stderr: stderrData.content,
+    exitCode: result.exitCode,
+    executionTime,
+    language: runtime.language,
+    version: runtime.version,
+    truncated: result.truncated || stdoutData.truncated || stderrData.truncated
+  };
 }
 
 module.exports = {
-  executeCode,
-  getSupportedLanguages,
-  LANGUAGE_MAP
+  executeCode
 };
@@ -0,0 +1,295 @@
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const archiveService = require('./archiveService');
+
+// Repositories can only be read and written below this folder; without it
+// the feature is off. Requests name repositories relative to it.
+const REPOSITORIES_ROOT = process.env.GIT_REPOSITORIES_ROOT
+  ? path.resolve(process.env.GIT_REPOSITORIES_ROOT)
+  : null;
+const EMAIL_DOMAIN = process.env.GIT_EMAIL_DOMAIN || 'users.noreply.collab-editor';
+const GIT_TIMEOUT_MS = 30000;
+const MAX_GIT_OUTPUT_BYTES = 16 * 1024 * 1024;
+const DEFAULT_BRANCH = 'main';
+
+if (!REPOSITORIES_ROOT) {
+  console.warn('[GitService] GIT_REPOSITORIES_ROOT not set, git export and import are disabled');
+}
+
+/**
+ * A repository, ref or branch that can't be used, or a git feature that is off
+ * @property {string} code - Machine-readable reason, e.g. 'invalid_ref'
+ * @property {boolean} conflict - The repository changed in a way that stops
+ *   the export, e.g. the branch moved meanwhile; trying again may work
+ */
+class GitError extends Error {
+  constructor(code, message, { conflict = false } = {}) {
+    super(message);
+    this.name = 'GitError';
+    this.code = code;
+    this.conflict = conflict;
+  }
+}
+
+/**
+ * @returns {boolean} Whether GIT_REPOSITORIES_ROOT is set
+ */
+function isEnabled() {
+  return REPOSITORIES_ROOT !== null;
+}
+
+// Run git in a repository. Hooks and fsmonitor are turned off, so nothing
+// but git itself runs, whatever the repository's config says.
+function git(cwd, args, { input, env, encoding = 'utf8' } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(
+      'git',
+      ['-c', 'core.hooksPath=/dev/null', '-c', 'core.fsmonitor=false', ...args],
+      {
+        cwd,
+        env: { ...process.env, ...env, GIT_TERMINAL_PROMPT: '0' },
+        timeout: GIT_TIMEOUT_MS,
+        maxBuffer: MAX_GIT_OUTPUT_BYTES,
+        encoding
+      },
+      (error, stdout, stderr) => {
+        if (error) {
+          error.message = `git ${args[0]} failed: ${String(stderr).trim() || error.message}`;
+          reject(error);
+          return;
+        }
+        resolve(stdout);
+      }
+    );
+    child.stdin.end(input);
+  });
+}
+
+// The repository at a path below the root: where it is and whether it has a
+// working tree. The path has to be the repository itself, not a folder in it.
+async function openRepository(repository) {
+  if (!REPOSITORIES_ROOT) {
+    throw new GitError('git_disabled', 'Git export and import are not enabled on this server');
+  }
+
+  const root = await fs.realpath(REPOSITORIES_ROOT);
+  let resolved;
+  try {
+    // Symlinks are followed first, so they can't lead out of the root
+    resolved = await fs.realpath(path.resolve(root, repository));
+  } catch {
+    throw new GitError('invalid_repository', `${repository} does not exist`);
+  }
+  if (resolved !== root && !resolved.startsWith(`${root}${path.sep}`)) {
+    throw new GitError('invalid_repository', 'Repositories must be inside GIT_REPOSITORIES_ROOT');
+  }
+
+  let bare, gitDir, topLevel;
+  try {
+    [bare, gitDir] = (await git(resolved, ['rev-parse', '--is-bare-repository', '--absolute-git-dir'])).trim().split('\n');
+    if (bare === 'false') topLevel = (await git(resolved, ['rev-parse', '--show-toplevel'])).trim();
+  } catch {
+    throw new GitError('invalid_repository', `${repository} is not a git repository`);
+  }
+  if ((bare === 'true' ? gitDir : topLevel) !== resolved) {
+    throw new GitError('invalid_repository', `${repository} is not the top of a git repository`);
+  }
+  return { path: resolved, bare: bare === 'true' };
+}
+
+// The commit a ref points to, or null if there is none
+async function resolveCommit(repo, ref) {
+  try {
+    return (await git(repo.path, ['rev-parse', '--verify', '--quiet', '--end-of-options', `${ref}^{commit}`])).trim();
+  } catch {
+    return null;
+  }
+}
+
+// The ref HEAD points to, e.g. refs/heads/main, or null if HEAD is detached
+async function headRef(repo) {
+  try {
+    return (await git(repo.path, ['symbolic-ref', '--quiet', 'HEAD'])).trim();
+  } catch {
+    return null;
+  }
+}
+
+// A name and address for a trailer or the author of a commit
+function identity(name) {
+  const cleanName = name.replace(/[<>\n]/g, '').trim() || 'anonymous';
+  const local = cleanName.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'anonymous';
+  return { name: cleanName, email: `${local}@${EMAIL_DOMAIN}` };
+}
+
+// A tree with the files laid over the parent's tree. Built in an index of
+// its own, so the repository's index and working tree aren't touched.
+async function writeTree(repo, parent, files) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'collab-git-'));
+  const env = { GIT_INDEX_FILE: path.join(tmpDir, 'index') };
+  try {
+    if (parent) await git(repo.path, ['read-tree', parent], { env });
+
+    const entries = [];
+    for (const file of files) {
+      const blob = (await git(repo.path, ['hash-object', '-w', '--stdin'], { input: file.content })).trim();
+      entries.push(`100644 ${blob}\t${file.name}\0`);
+    }
+    // --replace lets a file take the place of a folder and the other way round
+    await git(repo.path, ['update-index', '--add', '--replace', '-z', '--index-info'], { env, input: entries.join('') });
+    return (await git(repo.path, ['write-tree'], { env })).trim();
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Commit files to a branch of a repository. They are laid over what the
+ * branch has, so files that aren't in the room stay. If the branch is
+ * checked out in a working tree, the tree has to be clean and is updated.
+ * @param {string} repository - Path relative to GIT_REPOSITORIES_ROOT, of a bare repository or a working tree
+ * @param {Object} options
+ * @param {{ name: string, content: string }[]} options.files
+ * @param {string} [options.branch] - Defaults to the branch HEAD points to, or main
+ * @param {string} options.message
+ * @param {string} options.author - Name the commit is made under
+ * @param {string[]} [options.coAuthors] - Added as Co-authored-by trailers
+ * @returns {Promise<{ branch: string, commit: string, parent: string | null, changed: boolean }>}
+ *   changed is false when the files already matched the branch; no commit is made then
+ * @throws {GitError}
+ */
+async function exportFiles(repository, { files, branch, message, author, coAuthors = [] }) {
+  const repo = await openRepository(repository);
+  const head = await headRef(repo);
+  const branchName = branch ?? (head?.startsWith('refs/heads/') ? head.slice('refs/heads/'.length) : DEFAULT_BRANCH);
+  try {
+    await git(repo.path, ['check-ref-format', '--branch', branchName]);
+  } catch {
+    throw new GitError('invalid_branch', `${branchName} is not a valid branch name`);
+  }
+  const ref = `refs/heads/${branchName}`;
+  const parent = await resolveCommit(repo, ref);
+
+  const checkedOut = !repo.bare && head === ref;
+  if (checkedOut && (await git(repo.path, ['status', '--porcelain', '--untracked-files=no'])).trim()) {
+    throw new GitError('working_tree_dirty', `${branchName} is checked out with uncommitted changes`, { conflict: true });
+  }
+
+  const tree = await writeTree(repo, parent, files);
+  if (parent && tree === (await git(repo.path, ['rev-parse', `${parent}^{tree}`])).trim()) {
+    return { branch: branchName, commit: parent, parent, changed: false };
+  }
+
+  const authorIdentity = identity(author);
+  const trailers = Array.from(new Set(coAuthors.map(name => identity(name))
+    .filter(coAuthor => coAuthor.email !== authorIdentity.email)
+    .map(coAuthor => `Co-authored-by: ${coAuthor.name} <${coAuthor.email}>`)));
+  const fullMessage = trailers.length > 0 ? `${message.trim()}\n\n${trailers.join('\n')}\n` : `${message.trim()}\n`;
+
+  const commit = (await git(repo.path, ['commit-tree', tree, ...(parent ? ['-p', parent] : []), '-F', '-'], {
+    input: fullMessage,
+    env: {
+      GIT_AUTHOR_NAME: authorIdentity.name,
+      GIT_AUTHOR_EMAIL: authorIdentity.email,
+      GIT_COMMITTER_NAME: authorIdentity.name,
+      GIT_COMMITTER_EMAIL: authorIdentity.email
+    }
+  })).trim();
+
+  // Only moves the branch if nobody else did meanwhile. The working tree is
+  // updated afterwards, so it is never left ahead of a branch that didn't move.
+  try {
+    await git(repo.path, ['update-ref', '-m', 'collab-editor: export', ref, commit, parent ?? '']);
+  } catch {
+    throw new GitError('branch_moved', `${branchName} changed during the export, try again`, { conflict: true });
+  }
+
+  if (checkedOut) {
+    // Fails without changing anything if it would overwrite untracked files;
+    // the branch is then put back where it was
+    try {
+      await git(repo.path, ['read-tree', '-m', '-u', ...(parent ? [parent] : []), commit]);
+    } catch (error) {
+      await git(repo.path, parent
+        ? ['update-ref', '-m', 'collab-editor: undo export', ref, parent, commit]
+        : ['update-ref', '-d', ref, commit]
+      ).catch(undoError => {
+        console.error(`[GitService] Failed to put ${branchName} back after a failed export:`, undoError.message);
+      });
+      throw new GitError('working_tree_conflict', `The working tree can't be updated: ${error.message}`, { conflict: true });
+    }
+  }
+  return { branch: branchName, commit, parent, changed: true };
+}
+
+// Contents of blobs by id, read in one go
+async function readBlobs(repo, ids) {
+  if (ids.length === 0) return new Map();
+  const output = await git(repo.path, ['cat-file', '--batch'], { input: `${ids.join('\n')}\n`, encoding: 'buffer' });
+
+  // Each object comes as "<id> blob <size>\n<contents>\n"
+  const blobs = new Map();
+  let offset = 0;
+  while (offset < output.length) {
+    const headerEnd = output.indexOf(0x0a, offset);
+    const [id, , size] = output.toString('utf8', offset, headerEnd).split(' ');
+    const start = headerEnd + 1;
+    blobs.set(id, output.subarray(start, start + Number(size)));
+    offset = start + Number(size) + 1;
+  }
+  return blobs;
+}
+
+/**
+ * Read the files of a commit, as room files. Symlinks, submodules and files
+ * that are binary or too large are skipped.
+ * @param {string} repository - Path relative to GIT_REPOSITORIES_ROOT
+ * @param {string} [ref] - Branch, tag or commit; defaults to HEAD
+ * @returns {Promise<{ commit: string, files: { name: string, content: string, language: string }[], skipped: string[] }>}
+ * @throws {GitError}
+ */
+async function importFiles(repository, ref = 'HEAD') {
+  const repo = await openRepository(repository);
+  const commit = await resolveCommit(repo, ref);
+  if (!commit) throw new GitError('invalid_ref', `${ref} is not a commit in ${repository}`);
+
+  // "<mode> <type> <id> <size>\t<path>" per entry, with sizes padded
+  const listing = await git(repo.path, ['ls-tree', '-r', '-z', '--long', '--full-tree', commit]);
+  const wanted = [];
+  const skipped = [];
+  let totalBytes = 0;
+  for (const line of listing.split('\0').filter(Boolean)) {
+    const tab = line.indexOf('\t');
+    const [mode, type, id, size] = line.slice(0, tab).split(/ +/);
+    const name = line.slice(tab + 1);
+    if (type !== 'blob' || mode === '120000' || Number(size) > archiveService.MAX_IMPORT_FILE_BYTES) {
+      skipped.push(name);
+      continue;
+    }
+    totalBytes += Number(size);
+    wanted.push({ name, id });
+  }
+  if (totalBytes > archiveService.MAX_IMPORT_BYTES) {
+    throw new GitError('repository_too_large', `Imports can be at most ${archiveService.MAX_IMPORT_BYTES / 1024 / 1024} MB`);
+  }
+
+  const blobs = await readBlobs(repo, Array.from(new Set(wanted.map(entry => entry.id))));
+  try {
+    const prepared = archiveService.prepareFiles(
+      wanted.map(entry => ({ name: entry.name, data: blobs.get(entry.id) })),
+      { stripSharedRoot: false }
+    );
+    return { commit, files: prepared.files, skipped: [...skipped, ...prepared.skipped] };
+  } catch (error) {
+    throw new GitError('repository_too_large', error.message);
+  }
+}
+
+module.exports = {
+  GitError,
+  isEnabled,
+  exportFiles,
+  importFiles
+};
@@ -0,0 +1,111 @@
+// Token buckets per event type. An event can be limited per socket and per
+// room, and REST API requests per API key; it goes through only if every
+// bucket that applies has a token left.
+// capacity is the burst size, refillPerSecond the sustained rate.
+const DEFAULT_LIMITS = {
+  send_operation: {
+    socket: { capacity: 60, refillPerSecond: 30 },
+    room: { capacity: 300, refillPerSecond: 150 }
+  },
+  send_cursor_position: {
+    socket: { capacity: 20, refillPerSecond: 10 },
+    room: { capacity: 200, refillPerSecond: 100 }
+  },
+  execute_code: {
+    socket: { capacity: 3, refillPerSecond: 0.1 },
+    room: { capacity: 6, refillPerSecond: 0.2 }
+  },
+  import_files: {
+    socket: { capacity: 3, refillPerSecond: 0.1 }
+  },
+  request_sync: {
+    socket: { capacity: 10, refillPerSecond: 1 }
+  },
+  report_divergence: {
+    socket: { capacity: 5, refillPerSecond: 0.1 }
+  },
+  api_request: {
+    key: { capacity: 60, refillPerSecond: 10 }
+  }
+};
+
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Limits from RATE_LIMITS (JSON in the shape of DEFAULT_LIMITS) replace
+ * the defaults event by event
+ */
+function loadLimits() {
+  if (!process.env.RATE_LIMITS) return DEFAULT_LIMITS;
+
+  try {
+    return { ...DEFAULT_LIMITS, ...JSON.parse(process.env.RATE_LIMITS) };
+  } catch (error) {
+    console.error('[RateLimit] Ignoring invalid RATE_LIMITS:', error.message);
+    return DEFAULT_LIMITS;
+  }
+}
+
+const limits = loadLimits();
+
+// `${event}:${scope}:${id}` -> { tokens, updatedAt, limit }
+const buckets = new Map();
+
+function refill(bucket, now) {
+  const elapsed = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(bucket.limit.capacity, bucket.tokens + elapsed * bucket.limit.refillPerSecond);
+  bucket.updatedAt = now;
+}
+
+/**
+ * Take a token for an event from each of its buckets
+ * @param {string} event
+ * @param {{ socket?: string, room?: string, key?: string }} owners - Bucket owner per scope; scopes without one are skipped
+ * @returns {number} 0 if the event may proceed, otherwise milliseconds until it could
+ */
+function consume(event, owners) {
+  const eventLimits = limits[event];
+  if (!eventLimits) return 0;
+
+  const now = Date.now();
+  const applicable = [];
+  for (const [scope, limit] of Object.entries(eventLimits)) {
+    const owner = owners[scope];
+    if (!owner) continue;
+
+    const key = `${event}:${scope}:${owner}`;
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: limit.capacity, updatedAt: now, limit };
+      buckets.set(key, bucket);
+    }
+    refill(bucket, now);
+    applicable.push(bucket);
+  }
+
+  let retryAfter = 0;
+  for (const bucket of applicable) {
+    if (bucket.tokens < 1) {
+      retryAfter = Math.max(retryAfter, Math.ceil((1 - bucket.tokens) / bucket.limit.refillPerSecond * 1000));
+    }
+  }
+
+  // A rejected event takes nothing, so waiting out retryAfter is always enough
+  if (retryAfter > 0) return retryAfter;
+  applicable.forEach(bucket => { bucket.tokens -= 1; });
+  return 0;
+}
+
+// A full bucket behaves the same as a missing one, so drop those to keep
+// sockets and rooms that are gone from piling up
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, bucket] of buckets) {
+    refill(bucket, now);
+    if (bucket.tokens >= bucket.limit.capacity) buckets.delete(key);
+  }
+}, CLEANUP_INTERVAL_MS).unref();
+
+module.exports = {
+  consume
+};
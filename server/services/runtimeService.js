@@ -0,0 +1,110 @@
+const backend = require('./executionBackends');
+
+const REFRESH_INTERVAL_MS = parseInt(process.env.RUNTIME_REFRESH_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+// Monaco language -> installed runtimes, newest version first
+let catalog = new Map();
+let lastRefreshedAt = null;
+
+// Dotted versions compared numerically, so 3.10.0 sorts above 3.9.4
+function compareVersions(a, b) {
+  const partsA = a.split('.');
+  const partsB = b.split('.');
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (parseInt(partsA[i], 10) || 0) - (parseInt(partsB[i], 10) || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function buildCatalog(runtimes) {
+  const next = new Map();
+  for (const monacoLanguage of backend.languages) {
+    const versions = new Map(); // A version can be listed more than once, e.g. by several Piston runtimes
+    for (const runtime of runtimes) {
+      if (runtime.monacoLanguage === monacoLanguage && !versions.has(runtime.version)) {
+        versions.set(runtime.version, runtime);
+      }
+    }
+    next.set(
+      monacoLanguage,
+      Array.from(versions.values()).sort((a, b) => compareVersions(b.version, a.version))
+    );
+  }
+  return next;
+}
+
+/**
+ * Reload the installed runtimes from the execution backend. On failure
+ * the previous list stays in place.
+ * @returns {Promise<boolean>} Whether the supported languages changed
+ */
+async function refreshRuntimes() {
+  try {
+    const runtimes = await backend.listRuntimes();
+    const before = JSON.stringify(getSupportedLanguages());
+    catalog = buildCatalog(runtimes);
+    lastRefreshedAt = Date.now();
+    return JSON.stringify(getSupportedLanguages()) !== before;
+  } catch (error) {
+    console.error('[RuntimeService] Failed to load runtimes:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Discover runtimes now and keep them current
+ * @param {() => void} [onChange] - Called whenever the supported languages change
+ */
+function startRuntimeDiscovery(onChange) {
+  const refresh = async () => {
+    if (await refreshRuntimes()) onChange?.();
+  };
+  refresh();
+  setInterval(refresh, REFRESH_INTERVAL_MS).unref();
+}
+
+/**
+ * Backend runtime to run a Monaco language with
+ * @param {string} language - Monaco language identifier
+ * @param {string} [version] - Exact version; the newest installed one if omitted
+ * @returns {Promise<{ monacoLanguage: string, language: string, version: string }>}
+ * @throws {Error} If the language can't be run, or not in that version
+ */
+async function resolveRuntime(language, version) {
+  if (!backend.languages.includes(language)) {
+    throw new Error(`Language '${language}' is not supported for execution`);
+  }
+  // The backend wasn't reachable at startup; it may be by now
+  if (!lastRefreshedAt) await refreshRuntimes();
+
+  const runtimes = catalog.get(language) ?? [];
+  if (runtimes.length === 0) {
+    throw new Error(`No ${language} runtime is installed on the execution server`);
+  }
+  if (!version) return runtimes[0];
+
+  const runtime = runtimes.find(r => r.version === version);
+  if (!runtime) {
+    throw new Error(`${language} ${version} is not installed (available: ${runtimes.map(r => r.version).join(', ')})`);
+  }
+  return runtime;
+}
+
+/**
+ * Languages that can be run, with their installed versions
+ * @returns {{ language: string, available: boolean, versions: string[] }[]}
+ */
+function getSupportedLanguages() {
+  return backend.languages.map(language => {
+    const versions = (catalog.get(language) ?? []).map(runtime => runtime.version);
+    return { language, available: versions.length > 0, versions };
+  });
+}
+
+module.exports = {
+  startRuntimeDiscovery,
+  refreshRuntimes,
+  resolveRuntime,
+  getSupportedLanguages
+};
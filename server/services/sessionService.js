@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// Without SESSION_SECRET tokens only survive until the server restarts
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+if (!process.env.SESSION_SECRET) {
+  console.warn('[SessionService] SESSION_SECRET not set, using a random secret');
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Create a signed session token for a user in a room
+ * @param {{ roomCode: string, userId: string, username: string, color: string }} session
+ * @returns {string} Token of the form `<payload>.<signature>`
+ */
+function createSessionToken({ roomCode, userId, username, color }) {
+  const payload = Buffer.from(JSON.stringify({
+    roomCode,
+    userId,
+    username,
+    color,
+    expiresAt: Date.now() + SESSION_TTL_MS
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a session token
+ * @param {string} token
+ * @returns {{ roomCode: string, userId: string, username: string, color: string } | null}
+ *   The session, or null if the token is malformed, forged or expired
+ */
+function verifySessionToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (session.expiresAt < Date.now()) return null;
+    return {
+      roomCode: session.roomCode,
+      userId: session.userId,
+      username: session.username,
+      color: session.color
+    };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  createSessionToken,
+  verifySessionToken
+};
@@ -0,0 +1,831 @@
+const net = require('net');
+const { getBaseLength } = require('../ot/operations');
+
+const MAX_USERNAME_LENGTH = 32;
+const MAX_FILE_NAME_LENGTH = 100;
+const MAX_FILE_PATH_LENGTH = 255;
+const MAX_PATH_DEPTH = 10;
+const MAX_SNAPSHOT_NAME_LENGTH = 100;
+const MAX_PASSPHRASE_LENGTH = 256;
+const MAX_TOKEN_LENGTH = 1024;
+const MAX_OPERATION_COMPONENTS = 10000;
+const MAX_INSERT_LENGTH = 1024 * 1024; // Characters inserted by a single operation
+const MAX_EXECUTION_ID_LENGTH = 100;
+const MAX_STDIN_LENGTH = 64 * 1024;
+const MAX_ARGS = 64;
+const RUNTIME_VERSION_PATTERN = /^[0-9A-Za-z.+-]{1,32}$/;
+const MAX_ARG_LENGTH = 1000;
+// Piston's own defaults for the longest compile and run it allows
+const MAX_COMPILE_TIMEOUT_MS = 10000;
+const MAX_RUN_TIMEOUT_MS = 3000;
+const MAX_SELECTIONS = 100; // Multi-cursor selections relayed per cursor update
+const MAX_TRACE_LENGTH = 50; // Operations reported with a divergence
+const MAX_UPLOAD_FILES = 100;
+const MAX_UPLOAD_BYTES = 8 * 1024 * 1024; // Must stay below the socket's maxHttpBufferSize
+const MAX_WEBHOOK_URL_LENGTH = 2048;
+const MIN_WEBHOOK_SECRET_LENGTH = 16;
+const MAX_WEBHOOK_SECRET_LENGTH = 256;
+const MAX_WEBHOOKS_PER_ROOM = 10;
+const MAX_REPOSITORY_PATH_LENGTH = 1024;
+const MAX_GIT_REF_LENGTH = 255;
+const MAX_COMMIT_MESSAGE_LENGTH = 10000;
+
+// Webhooks can only reach hosts on the public internet unless this is set,
+// so API keys can't be used to probe the server's own network
+const ALLOW_PRIVATE_WEBHOOK_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+// Loopback, private, link-local, multicast and other non-public networks
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const ASSIGNABLE_ROLES = ['editor', 'viewer']; // The host role follows room.hostId
+const EDITOR_LANGUAGES = [
+  'javascript', 'typescript', 'python', 'html', 'css', 'json',
+  'go', 'rust', 'ruby', 'php', 'markdown', 'plaintext'
+];
+const WEBHOOK_EVENTS = [
+  'room_created', 'room_closed', 'user_joined', 'user_left',
+  'editor_added', 'editor_removed', 'document_changed', 'execution_result'
+];
+
+const ROOM_CODE_PATTERN = /^[A-Z0-9]{6}$/;
+const USER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|hsla?\(\s*-?\d+(\.\d+)?\s*,\s*\d+(\.\d+)?%\s*,\s*\d+(\.\d+)?%\s*(,\s*(0|1|0?\.\d+)\s*)?\))$/i;
+const CHECKSUM_PATTERN = /^[0-9a-f]{8}$/;
+const TRACE_KINDS = ['local', 'remote', 'ack'];
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/;
+
+/**
+ * A payload that does not match its event's schema
+ * @property {string} code - Machine-readable reason, e.g. 'invalid_operation'
+ * @property {string} [field] - Payload field that failed
+ */
+class ValidationError extends Error {
+  constructor(code, message, field) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = code;
+    this.field = field;
+  }
+}
+
+function fail(code, message, field) {
+  throw new ValidationError(code, message, field);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function expectObject(payload) {
+  if (!isPlainObject(payload)) fail('invalid_payload', 'Expected an object payload');
+  return payload;
+}
+
+function optionalString(value, field, maxLength) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== 'string' || value.length > maxLength) {
+    fail('invalid_payload', `${field} must be a string of at most ${maxLength} characters`, field);
+  }
+  return value;
+}
+
+function optionalBoolean(value, field) {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'boolean') fail('invalid_payload', `${field} must be a boolean`, field);
+  return value;
+}
+
+/**
+ * @param {*} value
+ * @param {string} [field]
+ * @returns {number}
+ */
+function validateEditorId(value, field = 'editorId') {
+  if (!Number.isInteger(value) || value < 1) {
+    fail('invalid_editor_id', 'Editor id must be a positive integer', field);
+  }
+  return value;
+}
+
+/**
+ * @param {*} value
+ * @param {string} [field]
+ * @returns {number}
+ */
+function validateRevision(value, field = 'revision') {
+  if (!Number.isInteger(value) || value < 0) {
+    fail('invalid_revision', `${field} must be a non-negative integer`, field);
+  }
+  return value;
+}
+
+/**
+ * @param {*} value
+ * @returns {string} The trimmed username
+ */
+function validateUsername(value) {
+  const username = typeof value === 'string' ? value.trim() : '';
+  if (!username || username.length > MAX_USERNAME_LENGTH || CONTROL_CHARS.test(username)) {
+    fail('invalid_username', `Username must be 1-${MAX_USERNAME_LENGTH} printable characters`, 'username');
+  }
+  return username;
+}
+
+/**
+ * @param {*} value - A hex or hsl() CSS color
+ * @returns {string}
+ */
+function validateColor(value) {
+  if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+    fail('invalid_color', 'Color must be a hex or hsl() color', 'color');
+  }
+  return value;
+}
+
+/**
+ * @param {*} value
+ * @returns {string} The room code, upper-cased
+ */
+function validateRoomCode(value) {
+  const roomCode = typeof value === 'string' ? value.trim().toUpperCase() : '';
+  if (!ROOM_CODE_PATTERN.test(roomCode)) {
+    fail('invalid_room_code', 'Room codes are 6 letters and digits', 'roomCode');
+  }
+  return roomCode;
+}
+
+/**
+ * @param {*} value
+ * @param {string} [field]
+ * @returns {string}
+ */
+function validateUserId(value, field = 'targetUserId') {
+  if (typeof value !== 'string' || !USER_ID_PATTERN.test(value)) {
+    fail('invalid_user_id', 'Unknown user id', field);
+  }
+  return value;
+}
+
+/**
+ * File names are a single path segment without control characters
+ * @param {*} value
+ * @returns {string} The trimmed name
+ */
+function validateFileName(value) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name || name.length > MAX_FILE_NAME_LENGTH) {
+    fail('invalid_file_name', `File name must be 1-${MAX_FILE_NAME_LENGTH} characters`, 'name');
+  }
+  if (/[/\\]/.test(name) || CONTROL_CHARS.test(name) || name === '.' || name === '..') {
+    fail('invalid_file_name', `'${name}' is not a valid file name`, 'name');
+  }
+  return name;
+}
+
+/**
+ * A file's path in the room: file names joined by '/', the last one
+ * being the file's own and the rest its folders
+ * @param {*} value
+ * @param {string} [field]
+ * @param {{ allowRoot?: boolean }} [options] - allowRoot accepts '' as the
+ *   top of the tree, for paths of folders
+ * @returns {string}
+ */
+function validateFilePath(value, field = 'name', { allowRoot = false } = {}) {
+  if (typeof value !== 'string' || value.length > MAX_FILE_PATH_LENGTH) {
+    fail('invalid_file_path', `Path must be at most ${MAX_FILE_PATH_LENGTH} characters`, field);
+  }
+  const filePath = value.trim().replace(/^\/+|\/+$/g, '');
+  if (!filePath) {
+    if (allowRoot) return '';
+    fail('invalid_file_path', 'Path must not be empty', field);
+  }
+
+  const segments = filePath.split('/');
+  if (segments.length > MAX_PATH_DEPTH) {
+    fail('invalid_file_path', `Paths can be at most ${MAX_PATH_DEPTH} levels deep`, field);
+  }
+  for (const segment of segments) {
+    if (!segment || segment !== segment.trim() || segment.length > MAX_FILE_NAME_LENGTH ||
+        segment.includes('\\') || CONTROL_CHARS.test(segment) || segment === '.' || segment === '..') {
+      fail('invalid_file_path', `'${filePath}' is not a valid path`, field);
+    }
+  }
+  return filePath;
+}
+
+/**
+ * @param {*} value - Monaco language identifier
+ * @returns {string}
+ */
+function validateLanguage(value) {
+  if (typeof value !== 'string' || !EDITOR_LANGUAGES.includes(value)) {
+    fail('unsupported_language', `Language '${value}' is not supported`, 'language');
+  }
+  return value;
+}
+
+/**
+ * Check that an operation is well formed: a non-empty list of retains and
+ * deletes with positive integer counts and inserts with non-empty text
+ * @param {*} value
+ * @returns {import('../ot/operations').Operation[]} A copy without unknown properties
+ */
+function validateOperation(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    fail('invalid_operation', 'Operation must be a non-empty array', 'operation');
+  }
+  if (value.length > MAX_OPERATION_COMPONENTS) {
+    fail('operation_too_large', `Operation has more than ${MAX_OPERATION_COMPONENTS} components`, 'operation');
+  }
+
+  let inserted = 0;
+  return value.map((op, index) => {
+    if (!isPlainObject(op)) {
+      fail('invalid_operation', `Component ${index} is not an object`, 'operation');
+    }
+    if (op.type === 'retain' || op.type === 'delete') {
+      if (!Number.isInteger(op.count) || op.count < 1) {
+        fail('invalid_operation', `Component ${index} needs a positive integer count`, 'operation');
+      }
+      return { type: op.type, count: op.count };
+    }
+    if (op.type === 'insert') {
+      if (typeof op.text !== 'string' || op.text.length === 0) {
+        fail('invalid_operation', `Component ${index} needs non-empty text`, 'operation');
+      }
+      inserted += op.text.length;
+      if (inserted > MAX_INSERT_LENGTH) {
+        fail('operation_too_large', `Operation inserts more than ${MAX_INSERT_LENGTH} characters`, 'operation');
+      }
+      return { type: 'insert', text: op.text };
+    }
+    return fail('invalid_operation', `Component ${index} has unknown type '${op.type}'`, 'operation');
+  });
+}
+
+/**
+ * Check that an operation fits the document it is about to be applied to
+ * @param {import('../ot/operations').Operation[]} operation
+ * @param {number} docLength
+ */
+function validateOperationLength(operation, docLength) {
+  const baseLength = getBaseLength(operation);
+  if (baseLength > docLength) {
+    fail(
+      'operation_too_long',
+      `Operation spans ${baseLength} characters but the document has ${docLength}`,
+      'operation'
+    );
+  }
+}
+
+function optionalTimeout(value, field, max) {
+  if (value === undefined || value === null) return undefined;
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    fail('invalid_timeout', `${field} must be between 1 and ${max} ms`, field);
+  }
+  return value;
+}
+
+/**
+ * Input for a program run: stdin, argv, optional timeouts and runtime version
+ * @param {Object} payload
+ * @returns {{ stdin: string, args: string[], compileTimeout?: number, runTimeout?: number, version?: string }}
+ */
+function validateRunInput({ stdin = '', args = [], compileTimeout, runTimeout, version }) {
+  if (typeof stdin !== 'string' || stdin.length > MAX_STDIN_LENGTH) {
+    fail('invalid_stdin', `stdin must be a string of at most ${MAX_STDIN_LENGTH} characters`, 'stdin');
+  }
+  if (!Array.isArray(args) || args.length > MAX_ARGS ||
+      args.some(arg => typeof arg !== 'string' || arg.length > MAX_ARG_LENGTH)) {
+    fail('invalid_args', `args must be at most ${MAX_ARGS} strings of up to ${MAX_ARG_LENGTH} characters`, 'args');
+  }
+  if (version !== undefined && version !== null && (typeof version !== 'string' || !RUNTIME_VERSION_PATTERN.test(version))) {
+    fail('invalid_version', 'version must be a runtime version such as 3.12.0', 'version');
+  }
+  return {
+    stdin,
+    args,
+    compileTimeout: optionalTimeout(compileTimeout, 'compileTimeout', MAX_COMPILE_TIMEOUT_MS),
+    runTimeout: optionalTimeout(runTimeout, 'runTimeout', MAX_RUN_TIMEOUT_MS),
+    version: version ?? undefined
+  };
+}
+
+function validateSelections(value) {
+  if (!Array.isArray(value) || value.length > MAX_SELECTIONS) {
+    fail('invalid_selections', `Selections must be an array of at most ${MAX_SELECTIONS}`, 'selections');
+  }
+  return value.map(selection => {
+    if (!isPlainObject(selection) ||
+        !Number.isInteger(selection.anchor) || selection.anchor < 0 ||
+        !Number.isInteger(selection.head) || selection.head < 0) {
+      fail('invalid_selections', 'Selections need non-negative integer anchor and head', 'selections');
+    }
+    return { anchor: selection.anchor, head: selection.head };
+  });
+}
+
+function validateChecksum(value, field) {
+  if (typeof value !== 'string' || !CHECKSUM_PATTERN.test(value)) {
+    fail('invalid_checksum', `${field} must be 8 hex digits`, field);
+  }
+  return value;
+}
+
+// Trace entries are what the client sent and received; a rebased
+// operation can come out empty, so that is allowed here
+function validateTrace(value) {
+  if (!Array.isArray(value) || value.length > MAX_TRACE_LENGTH) {
+    fail('invalid_trace', `Trace must be an array of at most ${MAX_TRACE_LENGTH} entries`, 'trace');
+  }
+  return value.map(entry => {
+    if (!isPlainObject(entry) || !TRACE_KINDS.includes(entry.kind)) {
+      fail('invalid_trace', `Trace entries need a kind of ${TRACE_KINDS.join(', ')}`, 'trace');
+    }
+    const { kind, revision, operation } = entry;
+    return {
+      kind,
+      revision: validateRevision(revision, 'trace'),
+      ...(operation !== undefined && {
+        operation: Array.isArray(operation) && operation.length === 0 ? [] : validateOperation(operation)
+      })
+    };
+  });
+}
+
+/**
+ * Text with every line ending as \n. The editor normalizes CRLF and CR, so
+ * files with them would never match the server's checksums or offsets.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeLineEndings(text) {
+  return text.replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Text a whole file is set to, at most what one operation may insert
+ * @param {*} value
+ * @param {string} [field]
+ * @returns {string} With line endings normalized
+ */
+function validateContent(value, field = 'content') {
+  if (typeof value !== 'string' || value.length > MAX_INSERT_LENGTH) {
+    fail('invalid_content', `${field} must be a string of at most ${MAX_INSERT_LENGTH} characters`, field);
+  }
+  return normalizeLineEndings(value);
+}
+
+/**
+ * A file created through the REST API; without a language it is detected from the name
+ * @param {*} value
+ * @param {string} [prefix] - Where the file sits in the request body, for error fields
+ * @returns {{ name: string, language?: string, content: string }}
+ */
+function validateApiFile(value, prefix) {
+  const field = (name) => prefix ? `${prefix}.${name}` : name;
+  const { name, language, content = '' } = expectObject(value);
+  return {
+    name: validateFilePath(name, field('name')),
+    language: language === undefined ? undefined : validateLanguage(language),
+    content: validateContent(content, field('content'))
+  };
+}
+
+/**
+ * Files sent to create or add to a room, as they were picked or dropped
+ * @param {*} value
+ * @param {string} [field]
+ * @returns {{ name: string, data: Buffer }[]}
+ */
+function validateUpload(value, field = 'files') {
+  if (!Array.isArray(value) || value.length === 0 || value.length > MAX_UPLOAD_FILES) {
+    fail('invalid_upload', `Upload 1-${MAX_UPLOAD_FILES} files at a time`, field);
+  }
+  let totalBytes = 0;
+  const files = value.map((file) => {
+    if (!isPlainObject(file) || typeof file.name !== 'string' || !file.name ||
+        file.name.length > MAX_FILE_PATH_LENGTH || !Buffer.isBuffer(file.data)) {
+      fail('invalid_upload', 'Each file needs a name and its contents', field);
+    }
+    totalBytes += file.data.length;
+    return { name: file.name, data: file.data };
+  });
+  if (totalBytes > MAX_UPLOAD_BYTES) {
+    fail('upload_too_large', `Uploads can be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`, field);
+  }
+  return files;
+}
+
+/**
+ * Whether webhooks may be delivered to an address. Addresses on non-public
+ * networks are refused unless WEBHOOK_ALLOW_PRIVATE_HOSTS is 'true'.
+ * @param {string} address - An IPv4 or IPv6 address, e.g. a resolved host name
+ * @returns {boolean}
+ */
+function isAllowedWebhookAddress(address) {
+  if (ALLOW_PRIVATE_WEBHOOK_HOSTS) return true;
+  const family = net.isIP(address);
+  // IPv4-mapped IPv6 addresses are checked against the IPv4 networks too
+  return family !== 0 && !PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * A webhook subscription: where to POST, which events ('*' for all) and
+ * optionally the secret deliveries are signed with
+ * @param {*} value
+ * @param {string} [prefix] - Where the webhook sits in the request body, for error fields
+ * @returns {{ url: string, events: string[], secret?: string }}
+ */
+function validateWebhook(value, prefix) {
+  const field = (name) => prefix ? `${prefix}.${name}` : name;
+  const { url, events, secret } = expectObject(value);
+
+  let parsed = null;
+  if (typeof url === 'string' && url.length <= MAX_WEBHOOK_URL_LENGTH) {
+    try {
+      parsed = new URL(url);
+    } catch {
+      parsed = null;
+    }
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    fail('invalid_webhook_url', `url must be an http(s) URL of at most ${MAX_WEBHOOK_URL_LENGTH} characters`, field('url'));
+  }
+  // Names are checked again each time a delivery resolves them
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  const localName = host === 'localhost' || host.endsWith('.localhost');
+  if (!ALLOW_PRIVATE_WEBHOOK_HOSTS && (localName || (net.isIP(host) && !isAllowedWebhookAddress(host)))) {
+    fail('invalid_webhook_url', 'url must not point to a loopback, private or link-local address', field('url'));
+  }
+
+  const allEvents = Array.isArray(events) && events.length === 1 && events[0] === '*';
+  if (!allEvents && (!Array.isArray(events) || events.length === 0 ||
+      events.some(event => !WEBHOOK_EVENTS.includes(event)))) {
+    fail('invalid_webhook_events', `events must be ['*'] or a list of: ${WEBHOOK_EVENTS.join(', ')}`, field('events'));
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' ||
+      secret.length < MIN_WEBHOOK_SECRET_LENGTH || secret.length > MAX_WEBHOOK_SECRET_LENGTH)) {
+    fail('invalid_webhook_secret', `secret must be ${MIN_WEBHOOK_SECRET_LENGTH}-${MAX_WEBHOOK_SECRET_LENGTH} characters`, field('secret'));
+  }
+
+  return { url: parsed.href, events: Array.from(new Set(events)), secret };
+}
+
+/**
+ * Where a repository is, relative to the server's repositories folder
+ * @param {*} value
+ * @param {string} field
+ * @returns {string}
+ */
+function validateRepositoryPath(value, field) {
+  if (typeof value !== 'string' || !value || value.length > MAX_REPOSITORY_PATH_LENGTH || CONTROL_CHARS.test(value)) {
+    fail('invalid_repository', `${field} must be a path of 1-${MAX_REPOSITORY_PATH_LENGTH} characters`, field);
+  }
+  return value;
+}
+
+/**
+ * A branch, tag or commit. Leading dashes are refused so a ref is never
+ * taken for an option of git.
+ * @param {*} value
+ * @param {string} field
+ * @returns {string | undefined}
+ */
+function optionalGitRef(value, field) {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string' || !value || value.length > MAX_GIT_REF_LENGTH ||
+      value.startsWith('-') || /[\s\u0000-\u001f\u007f]/.test(value)) {
+    fail('invalid_ref', `${field} must be a ref of 1-${MAX_GIT_REF_LENGTH} characters without spaces`, field);
+  }
+  return value;
+}
+
+const noPayload = () => undefined;
+
+// event -> { errorEvent, validate }. validate returns the payload handlers
+// receive; errorEvent is where the client already listens for that event's failures.
+const EVENT_SCHEMAS = {
+  create_room: {
+    errorEvent: 'room_error',
+    validate: (payload) => {
+      const { username, color, passphrase, inviteOnly, files } = expectObject(payload);
+      return {
+        username: validateUsername(username),
+        color: validateColor(color),
+        passphrase: optionalString(passphrase, 'passphrase', MAX_PASSPHRASE_LENGTH),
+        inviteOnly: optionalBoolean(inviteOnly, 'inviteOnly'),
+        files: files === undefined ? undefined : validateUpload(files)
+      };
+    }
+  },
+  join_room: {
+    errorEvent: 'room_error',
+    validate: (payload) => {
+      const { username, color, roomCode, passphrase, inviteToken } = expectObject(payload);
+      return {
+        username: validateUsername(username),
+        color: validateColor(color),
+        roomCode: validateRoomCode(roomCode),
+        passphrase: optionalString(passphrase, 'passphrase', MAX_PASSPHRASE_LENGTH),
+        inviteToken: optionalString(inviteToken, 'inviteToken', MAX_TOKEN_LENGTH)
+      };
+    }
+  },
+  resume_session: {
+    errorEvent: 'session_expired',
+    validate: (payload) => {
+      const { token } = expectObject(payload);
+      if (typeof token !== 'string' || !token || token.length > MAX_TOKEN_LENGTH) {
+        fail('invalid_token', 'Session token is missing or malformed', 'token');
+      }
+      return { token };
+    }
+  },
+  kick_user: {
+    errorEvent: 'room_error',
+    validate: (payload) => ({ targetUserId: validateUserId(expectObject(payload).targetUserId) })
+  },
+  set_user_role: {
+    errorEvent: 'room_error',
+    validate: (payload) => {
+      const { targetUserId, role } = expectObject(payload);
+      if (!ASSIGNABLE_ROLES.includes(role)) {
+        fail('invalid_role', `Role must be one of ${ASSIGNABLE_ROLES.join(', ')}`, 'role');
+      }
+      return { targetUserId: validateUserId(targetUserId), role };
+    }
+  },
+  create_invite: { errorEvent: 'room_error', validate: noPayload },
+  close_room: { errorEvent: 'room_error', validate: noPayload },
+  add_editor: {
+    errorEvent: 'room_error',
+    validate: (payload) => {
+      const { name, language } = expectObject(payload);
+      return { name: validateFilePath(name), language: validateLanguage(language) };
+    }
+  },
+  rename_editor: {
+    errorEvent: 'room_error',
+    validate: (payload) => {
+      const { editorId, name } = expectObject(payload);
+      return { editorId: validateEditorId(editorId), name: validateFileName(name) };
+    }
+  },
+  move_editor: {
+    errorEvent: 'room_error',
+    validate: (payload) => {
+      const { editorId, folder } = expectObject(payload);
+      return {
+        editorId: validateEditorId(editorId),
+        folder: validateFilePath(folder, 'folder', { allowRoot: true })
+      };
+    }
+  },
+  set_editor_language: {
+    errorEvent: 'room_error',
+    validate: (payload) => {
+      const { editorId, language } = expectObject(payload);
+      return { editorId: validateEditorId(editorId), language: validateLanguage(language) };
+    }
+  },
+  import_files: {
+    errorEvent: 'room_error',
+    validate: (payload) => ({ files: validateUpload(expectObject(payload).files) })
+  },
+  remove_editor: { errorEvent: 'room_error', validate: (payload) => validateEditorId(payload) },
+  join_editor: { errorEvent: 'room_error', validate: (payload) => validateEditorId(payload) },
+  leave_editor: { errorEvent: 'room_error', validate: (payload) => validateEditorId(payload) },
+  send_operation: {
+    errorEvent: 'operation_error',
+    validate: (payload) => {
+      const { editorId, operation, baseRevision } = expectObject(payload);
+      return {
+        editorId: validateEditorId(editorId),
+        operation: validateOperation(operation),
+        baseRevision: validateRevision(baseRevision, 'baseRevision')
+      };
+    }
+  },
+  request_sync: { errorEvent: 'sync_error', validate: (payload) => validateEditorId(payload) },
+  get_revision: {
+    errorEvent: 'history_error',
+    validate: (payload) => {
+      const { editorId, revision } = expectObject(payload);
+      return { editorId: validateEditorId(editorId), revision: validateRevision(revision) };
+    }
+  },
+  get_history_range: {
+    errorEvent: 'history_error',
+    validate: (payload) => {
+      const { editorId, fromRevision, toRevision } = expectObject(payload);
+      return {
+        editorId: validateEditorId(editorId),
+        fromRevision: fromRevision === undefined ? undefined : validateRevision(fromRevision, 'fromRevision'),
+        toRevision: toRevision === undefined ? undefined : validateRevision(toRevision, 'toRevision')
+      };
+    }
+  },
+  create_snapshot: {
+    errorEvent: 'snapshot_error',
+    validate: (payload) => {
+      const { name } = expectObject(payload);
+      const snapshotName = typeof name === 'string' ? name.trim() : '';
+      if (!snapshotName || snapshotName.length > MAX_SNAPSHOT_NAME_LENGTH || CONTROL_CHARS.test(snapshotName)) {
+        fail('invalid_snapshot_name', `Snapshot name must be 1-${MAX_SNAPSHOT_NAME_LENGTH} characters`, 'name');
+      }
+      return { name: snapshotName };
+    }
+  },
+  list_snapshots: { errorEvent: 'snapshot_error', validate: noPayload },
+  restore_snapshot: {
+    errorEvent: 'snapshot_error',
+    validate: (payload) => {
+      const { snapshotId } = expectObject(payload);
+      if (!Number.isInteger(snapshotId) || snapshotId < 1) {
+        fail('invalid_snapshot_id', 'Snapshot id must be a positive integer', 'snapshotId');
+      }
+      return { snapshotId };
+    }
+  },
+  report_divergence: {
+    errorEvent: 'validation_error',
+    validate: (payload) => {
+      const { editorId, revision, expected, actual, trace } = expectObject(payload);
+      return {
+        editorId: validateEditorId(editorId),
+        revision: validateRevision(revision),
+        expected: validateChecksum(expected, 'expected'),
+        actual: validateChecksum(actual, 'actual'),
+        trace: validateTrace(trace)
+      };
+    }
+  },
+  send_code: {
+    errorEvent: 'validation_error',
+    validate: (payload) => {
+      const { editorId, code } = expectObject(payload);
+      return { editorId: validateEditorId(editorId), code: validateContent(code, 'code') };
+    }
+  },
+  send_cursor_position: {
+    errorEvent: 'validation_error',
+    validate: (payload) => {
+      const { editorId, revision, selections } = expectObject(payload);
+      return {
+        editorId: validateEditorId(editorId),
+        revision: validateRevision(revision),
+        selections: validateSelections(selections)
+      };
+    }
+  },
+  execute_code: {
+    errorEvent: 'validation_error',
+    validate: (payload) => {
+      return { fileId: validateEditorId(expectObject(payload).fileId, 'fileId') };
+    }
+  },
+  set_run_input: {
+    errorEvent: 'room_error',
+    validate: (payload) => ({
+      editorId: validateEditorId(expectObject(payload).editorId),
+      runInput: validateRunInput(payload)
+    })
+  },
+  set_entry_point: {
+    errorEvent: 'room_error',
+    validate: (payload) => {
+      const { editorId } = expectObject(payload);
+      return { editorId: editorId === null ? null : validateEditorId(editorId) };
+    }
+  },
+  cancel_execution: {
+    errorEvent: 'validation_error',
+    validate: (payload) => {
+      const { executionId } = expectObject(payload);
+      if (typeof executionId !== 'string' || !executionId || executionId.length > MAX_EXECUTION_ID_LENGTH) {
+        fail('invalid_execution_id', 'Execution id is missing or malformed', 'executionId');
+      }
+      return { executionId };
+    }
+  },
+  get_execution_queue: { errorEvent: 'validation_error', validate: noPayload },
+  get_supported_languages: { errorEvent: 'validation_error', validate: noPayload }
+};
+
+// Request bodies of the REST API, by route. Like EVENT_SCHEMAS, each returns
+// what the route handler gets; failures are answered with 400.
+const API_SCHEMAS = {
+  create_room: (payload) => {
+    const { passphrase, inviteOnly, files, git, webhooks } = expectObject(payload);
+    if (files !== undefined && (!Array.isArray(files) || files.length === 0 || files.length > MAX_UPLOAD_FILES)) {
+      fail('invalid_files', `files must be an array of 1-${MAX_UPLOAD_FILES} files`, 'files');
+    }
+    if (git !== undefined && files !== undefined) {
+      fail('invalid_payload', 'A room starts from files or from git, not both', 'git');
+    }
+    if (webhooks !== undefined && (!Array.isArray(webhooks) || webhooks.length > MAX_WEBHOOKS_PER_ROOM)) {
+      fail('invalid_webhooks', `webhooks must be an array of at most ${MAX_WEBHOOKS_PER_ROOM} webhooks`, 'webhooks');
+    }
+    return {
+      passphrase: optionalString(passphrase, 'passphrase', MAX_PASSPHRASE_LENGTH),
+      inviteOnly: optionalBoolean(inviteOnly, 'inviteOnly'),
+      files: files?.map((file, index) => validateApiFile(file, `files[${index}]`)),
+      git: git === undefined ? undefined : {
+        repository: validateRepositoryPath(expectObject(git).repository, 'git.repository'),
+        ref: optionalGitRef(git.ref, 'git.ref')
+      },
+      webhooks: webhooks?.map((webhook, index) => validateWebhook(webhook, `webhooks[${index}]`)) ?? []
+    };
+  },
+  create_file: (payload) => validateApiFile(payload),
+  create_webhook: (payload) => validateWebhook(payload),
+  git_export: (payload) => {
+    const { repository, branch, message } = expectObject(payload);
+    return {
+      repository: validateRepositoryPath(repository, 'repository'),
+      branch: optionalGitRef(branch, 'branch'),
+      message: optionalString(message, 'message', MAX_COMMIT_MESSAGE_LENGTH)?.trim() || undefined
+    };
+  },
+  apply_operation: (payload) => {
+    const { operation, baseRevision } = expectObject(payload);
+    return {
+      operation: validateOperation(operation),
+      baseRevision: validateRevision(baseRevision, 'baseRevision')
+    };
+  },
+  replace_content: (payload) => {
+    const { content, baseRevision } = expectObject(payload);
+    return {
+      content: validateContent(content),
+      baseRevision: baseRevision === undefined ? undefined : validateRevision(baseRevision, 'baseRevision')
+    };
+  }
+};
+
+/**
+ * Validate and normalize the payload of an incoming socket event
+ * @param {string} event
+ * @param {*} payload
+ * @returns {*} The payload the event's handler should receive
+ * @throws {ValidationError}
+ */
+function validateEventPayload(event, payload) {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) fail('unknown_event', `Unknown event '${event}'`);
+  return schema.validate(payload);
+}
+
+/**
+ * Validate and normalize the body of a REST API request
+ * @param {string} route - Key of API_SCHEMAS
+ * @param {*} payload
+ * @returns {*} The body the route handler should receive
+ * @throws {ValidationError}
+ */
+function validateApiPayload(route, payload) {
+  return API_SCHEMAS[route](payload);
+}
+
+/**
+ * Event to report a failed validation on, so it reaches the client code
+ * that already handles errors for that request
+ * @param {string} event
+ * @returns {string}
+ */
+function getErrorEvent(event) {
+  return EVENT_SCHEMAS[event]?.errorEvent ?? 'validation_error';
+}
+
+module.exports = {
+  ValidationError,
+  ASSIGNABLE_ROLES,
+  EDITOR_LANGUAGES,
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOKS_PER_ROOM,
+  validateEditorId,
+  validateRoomCode,
+  validateFileName,
+  validateFilePath,
+  normalizeLineEndings,
+  isAllowedWebhookAddress,
+  validateLanguage,
+  validateOperation,
+  validateOperationLength,
+  validateEventPayload,
+  validateApiPayload,
+  getErrorEvent
+};
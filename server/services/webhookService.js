@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const db = require('../database');
+const { isAllowedWebhookAddress } = require('./validationService');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const DEBOUNCE_MS = parseInt(process.env.WEBHOOK_DEBOUNCE_MS, 10) || 5000;
+const MAX_DEBOUNCE_MS = 30000; // document_changed still goes out while editing never pauses
+// Retries wait 1s, 2s, 4s... up to 5 min, with some jitter so failed receivers aren't hit all at once
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const DELIVERY_LOG_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// roomCode -> promise of the room's webhooks, loaded on first use
+const subscriptions = new Map();
+
+// roomCode -> Map<editorId, { timer, firstChangeAt, data, authors }> of document_changed waiting to go out
+const pendingChanges = new Map();
+
+function getSubscriptions(roomCode) {
+  if (!subscriptions.has(roomCode)) {
+    subscriptions.set(roomCode, db.listWebhooks(roomCode).catch(error => {
+      console.error(`[Webhook] Failed to load webhooks for ${roomCode}:`, error.message);
+      subscriptions.delete(roomCode); // Tried again with the next event
+      return [];
+    }));
+  }
+  return subscriptions.get(roomCode);
+}
+
+/**
+ * Signature of a delivery: hex HMAC-SHA256 of `${timestamp}.${body}` with
+ * the webhook's secret. Receivers recompute it from the X-Webhook-Timestamp
+ * header and the raw body.
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body
+ * @returns {string}
+ */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function retryDelay(attempt) {
+  const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// Raised for receivers on addresses webhooks may not reach
+const PRIVATE_ADDRESS_ERROR = 'ERR_WEBHOOK_PRIVATE_ADDRESS';
+
+function privateAddressError(address) {
+  const error = new Error(`Receiver is on a non-public address (${address})`);
+  error.code = PRIVATE_ADDRESS_ERROR;
+  return error;
+}
+
+// Resolves like Node does, but refuses names that lead to a non-public
+// address. Runs for every connection, so a name can't be pointed at an
+// internal host after the webhook was created.
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const refused = addresses.find(({ address }) => !isAllowedWebhookAddress(address));
+    if (refused) return callback(privateAddressError(refused.address));
+    callback(null, addresses);
+  });
+}
+
+// Timeouts, refused connections, server errors and rate limiting are worth
+// another try; any other answer would come back the same
+function isRetryable(status) {
+  return status === undefined || status === 408 || status === 429 || status >= 500;
+}
+
+async function saveDelivery(delivery) {
+  try {
+    await db.saveWebhookDelivery(delivery);
+  } catch (error) {
+    console.error(`[Webhook] Failed to log delivery ${delivery.id}:`, error.message);
+  }
+}
+
+// POST the payload until the receiver answers 2xx or the attempts run out.
+// Every attempt is signed afresh and logged; the delivery id stays the same.
+async function deliver(webhook, roomCode, payload) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    webhookId: webhook.id,
+    roomCode,
+    event: payload.event,
+    status: 'pending',
+    attempts: 0,
+    responseStatus: null,
+    error: null
+  };
+  const body = JSON.stringify({ id: delivery.id, ...payload });
+
+  // Addresses in the URL itself are never looked up
+  const host = new URL(webhook.url).hostname.replace(/^\[|\]$/g, '');
+
+  for (;;) {
+    delivery.attempts++;
+    const timestamp = Math.floor(Date.now() / 1000);
+    let status;
+    let refused = false;
+    try {
+      if (net.isIP(host) && !isAllowedWebhookAddress(host)) throw privateAddressError(host);
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'collab-editor-webhooks',
+          'X-Webhook-Id': String(webhook.id),
+          'X-Webhook-Event': payload.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+        },
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        lookup: lookupPublicAddress,
+        validateStatus: () => true
+      });
+      status = response.status;
+      delivery.responseStatus = status;
+      delivery.error = status >= 200 && status < 300 ? null : `Receiver answered ${status}`;
+    } catch (error) {
+      delivery.responseStatus = null;
+      delivery.error = error.message;
+      refused = error.code === PRIVATE_ADDRESS_ERROR;
+    }
+
+    if (!delivery.error) {
+      delivery.status = 'delivered';
+      console.log(`[Webhook] ${payload.event} for ${roomCode} delivered to ${webhook.url} (attempt ${delivery.attempts})`);
+      await saveDelivery(delivery);
+      return;
+    }
+    if (delivery.attempts >= MAX_ATTEMPTS || refused || !isRetryable(status)) {
+      delivery.status = 'failed';
+      console.error(`[Webhook] ${payload.event} for ${roomCode} to ${webhook.url} failed after ${delivery.attempts} attempts: ${delivery.error}`);
+      await saveDelivery(delivery);
+      return;
+    }
+
+    const delay = retryDelay(delivery.attempts);
+    console.warn(`[Webhook] ${payload.event} for ${roomCode} to ${webhook.url} failed (${delivery.error}), retrying in ${delay} ms`);
+    await saveDelivery(delivery);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Send an event to every webhook of the room that subscribed to it.
+ * Deliveries carry on in the background.
+ * @param {string} roomCode
+ * @param {string} event - One of validationService.WEBHOOK_EVENTS
+ * @param {Object} data
+ * @returns {Promise<void>} Settles once the deliveries have started, so the
+ *   room's webhooks can be deleted afterwards
+ */
+async function emit(roomCode, event, data) {
+  const payload = { event, roomCode, timestamp: new Date().toISOString(), data };
+  const webhooks = await getSubscriptions(roomCode);
+  for (const webhook of webhooks) {
+    if (webhook.events.includes('*') || webhook.events.includes(event)) {
+      deliver(webhook, roomCode, payload);
+    }
+  }
+}
+
+function flushChange(roomCode, editorId) {
+  const roomChanges = pendingChanges.get(roomCode);
+  const pending = roomChanges?.get(editorId);
+  if (!pending) return Promise.resolve();
+
+  clearTimeout(pending.timer);
+  roomChanges.delete(editorId);
+  if (roomChanges.size === 0) pendingChanges.delete(roomCode);
+  return emit(roomCode, 'document_changed', { ...pending.data, authors: Array.from(pending.authors) });
+}
+
+/**
+ * Report edits to a file. They go out as one document_changed once the file
+ * has been quiet for WEBHOOK_DEBOUNCE_MS, or after MAX_DEBOUNCE_MS of
+ * continuous editing.
+ * @param {string} roomCode
+ * @param {number} editorId
+ * @param {{ name: string, revision: number, checksum: string }} state - The file after the edit
+ * @param {string} [authorName]
+ */
+function documentChanged(roomCode, editorId, state, authorName) {
+  if (!pendingChanges.has(roomCode)) pendingChanges.set(roomCode, new Map());
+  const roomChanges = pendingChanges.get(roomCode);
+
+  let pending = roomChanges.get(editorId);
+  if (!pending) {
+    pending = { timer: null, firstChangeAt: Date.now(), data: null, authors: new Set() };
+    roomChanges.set(editorId, pending);
+  }
+  pending.data = { editorId, ...state };
+  if (authorName) pending.authors.add(authorName);
+
+  clearTimeout(pending.timer);
+  const wait = Math.min(DEBOUNCE_MS, pending.firstChangeAt + MAX_DEBOUNCE_MS - Date.now());
+  pending.timer = setTimeout(() => flushChange(roomCode, editorId), Math.max(0, wait));
+}
+
+/**
+ * Send the room's waiting document_changed events now, e.g. before it closes
+ * @param {string} roomCode
+ * @returns {Promise<void>}
+ */
+async function flushRoom(roomCode) {
+  const editorIds = Array.from(pendingChanges.get(roomCode)?.keys() ?? []);
+  await Promise.all(editorIds.map(editorId => flushChange(roomCode, editorId)));
+}
+
+/**
+ * Drop what is kept in memory for a room that was deleted. Deliveries
+ * already under way still finish.
+ * @param {string} roomCode
+ */
+function forgetRoom(roomCode) {
+  for (const pending of pendingChanges.get(roomCode)?.values() ?? []) {
+    clearTimeout(pending.timer);
+  }
+  pendingChanges.delete(roomCode);
+  subscriptions.delete(roomCode);
+}
+
+/**
+ * Subscribe a URL to events of a room
+ * @param {string} roomCode
+ * @param {{ url: string, events: string[], secret?: string }} webhook - Without a secret one is generated
+ * @returns {Promise<{ id: number, url: string, events: string[], secret: string, createdAt: string }>}
+ *   The only time the secret is handed out
+ */
+async function addWebhook(roomCode, { url, events, secret }) {
+  const row = await db.createWebhook(roomCode, {
+    url,
+    events,
+    secret: secret ?? crypto.randomBytes(32).toString('hex')
+  });
+  subscriptions.delete(roomCode);
+  return { id: row.id, url: row.url, events: row.events, secret: row.secret, createdAt: row.created_at };
+}
+
+/**
+ * @param {string} roomCode
+ * @returns {Promise<{ id: number, url: string, events: string[], createdAt: string }[]>}
+ */
+async function listWebhooks(roomCode) {
+  const rows = await db.listWebhooks(roomCode);
+  return rows.map(row => ({ id: row.id, url: row.url, events: row.events, createdAt: row.created_at }));
+}
+
+/**
+ * @param {string} roomCode
+ * @param {number} webhookId
+ * @returns {Promise<boolean>} Whether the room had that webhook
+ */
+async function removeWebhook(roomCode, webhookId) {
+  const removed = await db.deleteWebhook(roomCode, webhookId);
+  subscriptions.delete(roomCode);
+  return removed;
+}
+
+/**
+ * Most recent deliveries of a webhook, newest first
+ * @param {string} roomCode
+ * @param {number} webhookId
+ */
+async function listDeliveries(roomCode, webhookId) {
+  const rows = await db.listWebhookDeliveries(roomCode, webhookId);
+  return rows.map(row => ({
+    id: row.id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }));
+}
+
+// The delivery log only needs to cover recent trouble
+setInterval(() => {
+  db.deleteWebhookDeliveriesBefore(new Date(Date.now() - DELIVERY_LOG_RETENTION_MS)).catch(error => {
+    console.error('[Webhook] Failed to prune the delivery log:', error.message);
+  });
+}, PRUNE_INTERVAL_MS).unref();
+
+module.exports = {
+  sign,
+  emit,
+  documentChanged,
+  flushRoom,
+  forgetRoom,
+  addWebhook,
+  listWebhooks,
+  removeWebhook,
+  listDeliveries
+};